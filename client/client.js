@@ -10,7 +10,7 @@
  * 3. Arrow keys fire cardinal-direction shots (up/down/left/right)
  * 4. Aim pad: mouse move/drag over the circular pad → sets aimAngle
  *    Clicking the pad fires immediately
- * 5. Shift=shield, R=reload, F=dash
+ * 5. Shift=shield, R=reload, F=dash (along held WASD, else the last move)
  * 6. Smart local gates: blocked actions logged without network round-trip
  * 7. State polling every 200ms for live HUD updates
  * 8. Action retry queue for rate-limit / cooldown errors
@@ -22,20 +22,27 @@ const POLL_INTERVAL_MS  = 200;
 const ACTION_RETRY_MS   = 80;
 const MAX_LOG_ENTRIES   = 120;
 
-const MAX_AMMO    = 5;
+const MAX_AMMO    = 5;   // until the server reports the weapon's magazine (self.maxAmmo)
+const TICK_MS     = 50; // server tick length, for showing cooldowns in seconds
 const MOVEMENT_TICK_MS  = 50; // Match server tick rate (50 ms) for continuous movement
 
 // ── State ─────────────────────────────────────────────────────────────────────
 let serverUrl  = DEFAULT_SERVER;
 let playerId   = null;
+let playerToken = null;
 let playerName = '';
 
 let localState = {
   hp:       100,
   ammo:     MAX_AMMO,
+  maxAmmo:  MAX_AMMO,
+  maxHp:    100,
   kills:    0,
   alive:    true,
   reloadCd: false,
+  shielded: false,
+  shieldCd: 0,      // ticks
+  dashCd:   0,      // ticks
   mode:     'test',
 };
 
@@ -69,6 +76,8 @@ const valAmmo       = document.getElementById('val-ammo');
 const valKills      = document.getElementById('val-kills');
 
 const indReload     = document.getElementById('ind-reload');
+const indShield     = document.getElementById('ind-shield');
+const indDash       = document.getElementById('ind-dash');
 const indDead       = document.getElementById('ind-dead');
 const lastActionEl  = document.getElementById('last-action');
 const actionLog     = document.getElementById('action-log');
@@ -94,6 +103,8 @@ const KEY_BOXES = {
   right: document.getElementById('k-right'),
   space: document.getElementById('k-space'),
   r:     document.getElementById('k-r'),
+  shift: document.getElementById('k-shift'),
+  f:     document.getElementById('k-f'),
 };
 
 // ══════════════════════════════════════════════════════════════════════════════
@@ -202,8 +213,9 @@ async function doRegister() {
     const res  = await apiFetch('/register', 'POST', { username: name });
     const data = await res.json();
     if (!res.ok) { showSetupError(data.error || 'Registration failed'); return; }
-    playerId   = data.player_id;
-    playerName = data.username;
+    playerId    = data.player_id;
+    playerToken = data.token;
+    playerName  = data.username;
     enterGame();
   } catch (e) {
     showSetupError('Cannot reach server: ' + (e.message || 'network error'));
@@ -215,7 +227,8 @@ async function doRegister() {
 
 function enterGame() {
   linkBigscreen.href = serverUrl + '/bigscreen';
-  linkMonitor.href   = serverUrl + '/monitor?player_id=' + encodeURIComponent(playerId);
+  linkMonitor.href   = serverUrl + '/monitor?player_id=' + encodeURIComponent(playerId) +
+                       '&token=' + encodeURIComponent(playerToken);
   linkApi.href       = serverUrl + '/players';
 
   displayName.textContent = playerName;
@@ -226,8 +239,9 @@ function enterGame() {
 
   startPoller();
   addLog('Registered as ' + playerName + ' (' + playerId + ')', 'ok');
+  addLog('Token: ' + playerToken + ' \u2014 keep it secret, bots need it for every request', 'warn');
   addLog('Server: ' + serverUrl, 'info');
-  addLog('WASD=move  Space=shoot(aim)  Arrows=shoot cardinal  R=reload', 'info');
+  addLog('WASD=move  Space=shoot(aim)  Arrows=shoot cardinal  R=reload  Shift=shield  F=dash', 'info');
 }
 
 function doDisconnect() {
@@ -235,7 +249,7 @@ function doDisconnect() {
   stopContinuousMovement();
   heldMovementKeys.clear();
   lastMovementKey = null;
-  playerId = null; playerName = '';
+  playerId = null; playerToken = null; playerName = '';
   gameScreen.classList.remove('active');
   setupScreen.classList.add('active');
 }
@@ -269,9 +283,14 @@ function applyState(data) {
   const s = data.self;
   localState.hp       = s.hp       != null ? s.hp       : localState.hp;
   localState.ammo     = s.ammo     != null ? s.ammo     : localState.ammo;
+  localState.maxAmmo  = s.maxAmmo  || localState.maxAmmo;
+  localState.maxHp    = s.maxHp    || localState.maxHp;
   localState.kills    = s.kills    != null ? s.kills    : localState.kills;
   localState.alive    = s.alive    != null ? s.alive    : localState.alive;
   localState.reloadCd = s.reloadCooldown > 0;
+  localState.shielded = !!s.shielded;
+  localState.shieldCd = s.shieldCooldown || 0;
+  localState.dashCd   = s.dashCooldown   || 0;
   localState.mode     = data.mode  || localState.mode;
   updateHUD();
 }
@@ -281,16 +300,16 @@ function applyState(data) {
 // ══════════════════════════════════════════════════════════════════════════════
 
 function updateHUD() {
-  const { hp, ammo, kills, alive, reloadCd, mode } = localState;
+  const { hp, maxHp, ammo, maxAmmo, kills, alive, reloadCd, shielded, shieldCd, dashCd, mode } = localState;
 
-  const hpPct = Math.max(0, Math.min(100, hp));
+  const hpPct = Math.max(0, Math.min(100, hp / maxHp * 100));
   barHp.style.width      = hpPct + '%';
   barHp.style.background = hpPct > 50 ? '#2ecc71' : hpPct > 25 ? '#f1c40f' : '#e74c3c';
   valHp.textContent      = hp;
 
-  if (ammoPips.children.length !== MAX_AMMO) {
+  if (ammoPips.children.length !== maxAmmo) {
     ammoPips.innerHTML = '';
-    for (var i = 0; i < MAX_AMMO; i++) {
+    for (var i = 0; i < maxAmmo; i++) {
       var pip = document.createElement('div');
       pip.className = 'pip';
       ammoPips.appendChild(pip);
@@ -299,7 +318,7 @@ function updateHUD() {
   Array.from(ammoPips.children).forEach(function(pip, i) {
     pip.className = 'pip' + (i < ammo ? '' : ' empty');
   });
-  valAmmo.textContent  = ammo + '/' + MAX_AMMO;
+  valAmmo.textContent  = ammo + '/' + maxAmmo;
   valKills.textContent = kills;
 
   const modeMap = {
@@ -314,10 +333,18 @@ function updateHUD() {
   modeBadge.className   = 'badge ' + mEntry[1];
 
   indReload.classList.toggle('active', !!reloadCd);
+  indShield.classList.toggle('active', shielded || shieldCd > 0);
+  indShield.innerHTML = '&#128737; ' + (shielded ? 'Shield UP' : 'Shield ' + cooldownText(shieldCd));
+  indDash.classList.toggle('active', dashCd > 0);
+  indDash.innerHTML   = '&#187; Dash ' + cooldownText(dashCd);
   indDead.classList.toggle('hidden', !!alive);
   if (!alive) indDead.classList.add('dead');
 }
 
+function cooldownText(ticks) {
+  return ticks > 0 ? (ticks * TICK_MS / 1000).toFixed(1) + 's' : 'ready';
+}
+
 // ══════════════════════════════════════════════════════════════════════════════
 // KEYBOARD
 // ══════════════════════════════════════════════════════════════════════════════
@@ -335,6 +362,9 @@ const KEY_MAP = {
   'd':          { action: 'move',   direction: 'right' },
   ' ':          { action: 'shoot',  direction: null,  useAimAngle: true  },
   'r':          { action: 'reload', direction: null   },
+  'Shift':      { action: 'shield', direction: null   },
+  'f':          { action: 'dash',   direction: null   },
+  'F':          { action: 'dash',   direction: null   }, // F while Shift is held
   // Arrow keys = cardinal shoot
   'ArrowUp':    { action: 'shoot',  direction: 'up'    },
   'ArrowLeft':  { action: 'shoot',  direction: 'left'  },
@@ -384,6 +414,11 @@ function handleKeyDown(e) {
     }
     return;
   }
+  if (action === 'dash') {
+    // Dash along the held WASD keys, else the way we last moved
+    angle = getMovementAngle();
+    direction = angle === null ? lastMoveDir : null;
+  }
   if (action === 'shoot' && mapping.useAimAngle) {
     // Space uses aim pad angle
     angle = aimAngle;
@@ -455,6 +490,8 @@ const KEY_BOX_MAP = {
   'ArrowDown': KEY_BOXES.down, 'ArrowRight': KEY_BOXES.right,
   ' ': KEY_BOXES.space,
   'r': KEY_BOXES.r,
+  'Shift': KEY_BOXES.shift,
+  'f': KEY_BOXES.f, 'F': KEY_BOXES.f,
 };
 
 function flashKey(keyId) {
@@ -494,6 +531,14 @@ async function sendAction(action, direction, angle) {
     setLastAction('Reload on cooldown — queued', 'warn');
     return;
   }
+  if (action === 'shield' && localState.shieldCd > 0) {
+    setLastAction('Shield on cooldown — ' + cooldownText(localState.shieldCd), 'warn');
+    return;
+  }
+  if (action === 'dash' && localState.dashCd > 0) {
+    setLastAction('Dash on cooldown — ' + cooldownText(localState.dashCd), 'warn');
+    return;
+  }
 
   const body = { player_id: playerId, action: action };
   if (direction)      body.direction = direction;
@@ -547,6 +592,7 @@ function apiFetch(path, method, body) {
   method = method || 'GET';
   const url  = serverUrl + path;
   const opts = { method: method, headers: { 'Content-Type': 'application/json' } };
+  if (playerToken) opts.headers['Authorization'] = 'Bearer ' + playerToken;
   if (body) opts.body = JSON.stringify(body);
   return fetch(url, opts);
 }
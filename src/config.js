@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+// ──────────────────────────────────────────────
+// Server Configuration
+// ──────────────────────────────────────────────
+//  Values come from environment variables first, then from an optional JSON
+//  file (config.json in the repo root, or the path in CONFIG_FILE).
+//  See config.example.json for the recognised keys.
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(ROOT_DIR, 'config.json');
+
+function readConfigFile() {
+  if (!fs.existsSync(CONFIG_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse config file ${CONFIG_FILE}: ${err.message}`);
+  }
+}
+
+const file = readConfigFile();
+
+function readBool(envValue, fileValue, fallback) {
+  if (envValue !== undefined) return envValue === '1' || envValue === 'true';
+  return typeof fileValue === 'boolean' ? fileValue : fallback;
+}
+
+module.exports = {
+  // Host credential for /start, /reset, kicking players and the full /debug.
+  // When neither source sets it, server.js generates one at boot and prints it.
+  adminKey: process.env.ADMIN_KEY || file.adminKey || null,
+
+  // Directory for battle recordings served by /replays (relative to the repo root)
+  replayDir: path.resolve(ROOT_DIR, process.env.REPLAY_DIR || file.replayDir || 'data/replays'),
+
+  // Default visibility for sandboxes and battles: line-of-sight fog of war
+  // instead of a plain radius. /start can override it per battle.
+  fogOfWar: readBool(process.env.FOG_OF_WAR, file.fogOfWar, false),
+
+  // Battle royale shrinking zone in every battle by default (/start can override),
+  // and an optional custom phase schedule (config file only, see SafeZone)
+  zone: readBool(process.env.ZONE, file.zone, false),
+  zonePhases: Array.isArray(file.zonePhases) ? file.zonePhases : null,
+
+  // Health packs, ammo boxes and buffs in battles (/start can override)
+  pickups: readBool(process.env.PICKUPS, file.pickups, true),
+
+  // Registered players and their sandbox settings, restored at boot (relative to the repo root)
+  registryFile: path.resolve(ROOT_DIR, process.env.REGISTRY_FILE || file.registryFile || 'data/registry.json'),
+
+  // Player ratings and career totals for /leaderboard (relative to the repo root)
+  ratingsFile: path.resolve(ROOT_DIR, process.env.RATINGS_FILE || file.ratingsFile || 'data/ratings.json'),
+
+  // Directory of arena map files (relative to the repo root)
+  mapDir: path.resolve(ROOT_DIR, process.env.MAP_DIR || file.mapDir || 'maps'),
+
+  // Map ids POST /start cycles through when no map is named; empty → every map
+  mapRotation: process.env.MAP_ROTATION
+    ? process.env.MAP_ROTATION.split(',').map(s => s.trim()).filter(Boolean)
+    : (Array.isArray(file.mapRotation) ? file.mapRotation : []),
+};
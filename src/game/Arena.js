@@ -1,55 +1,113 @@
-const { ARENA_WIDTH, ARENA_HEIGHT, OBSTACLE_WALL, OBSTACLE_CRATE } = require('./constants');
-
+const { OBSTACLE_WALL, OBSTACLE_CRATE, CRATE_HP, SAFE_SPAWN_CANDIDATES } = require('./constants');
+const DEFAULT_MAP = require('../../maps/classic.json');
+
+/**
+ * The playing field for one engine, built from a map definition (see maps/
+ * and MapStore). Obstacles are copied so engines never share mutable state.
+ *
+ * Crates carry hp/maxHp and a broken flag. A broken crate stays in
+ * `obstacles` (so clients can draw the rubble) but no longer blocks movement,
+ * bullets or line of sight.
+ */
 class Arena {
-  constructor() {
-    this.width = ARENA_WIDTH;
-    this.height = ARENA_HEIGHT;
-    this.obstacles = [];
-    this._generateObstacles();
+  constructor(rng, map = DEFAULT_MAP) {
+    this.rng = rng;             // SeededRandom shared with the owning GameEngine
+    this.map = map;
+    this.mapId = map.id;
+    this.name = map.name || map.id;
+    this.width = map.width;
+    this.height = map.height;
+    this.obstacles = map.obstacles.map(o => {
+      if (o.type !== OBSTACLE_CRATE) return { x: o.x, y: o.y, w: o.w, h: o.h, type: OBSTACLE_WALL };
+      const hp = o.hp || CRATE_HP;
+      return { x: o.x, y: o.y, w: o.w, h: o.h, type: OBSTACLE_CRATE, hp, maxHp: hp, broken: false };
+    });
+    this.spawnPoints = (map.spawnPoints || []).map(p => ({ x: p.x, y: p.y }));
   }
 
-  _generateObstacles() {
-    // Border walls (thin inner border at 0 and max)
-    // Represented as rectangles { x, y, w, h, type }
-
-    // Some interior obstacles – crates and walls
-    const layouts = [
-      // Center cross
-      { x: 18, y: 13, w: 4, h: 1, type: OBSTACLE_WALL },
-      { x: 19, y: 11, w: 1, h: 5, type: OBSTACLE_WALL },
-
-      // Corner blocks
-      { x: 5,  y: 5,  w: 2, h: 2, type: OBSTACLE_CRATE },
-      { x: 33, y: 5,  w: 2, h: 2, type: OBSTACLE_CRATE },
-      { x: 5,  y: 23, w: 2, h: 2, type: OBSTACLE_CRATE },
-      { x: 33, y: 23, w: 2, h: 2, type: OBSTACLE_CRATE },
-
-      // Side walls
-      { x: 12, y: 8,  w: 1, h: 4, type: OBSTACLE_WALL },
-      { x: 27, y: 8,  w: 1, h: 4, type: OBSTACLE_WALL },
-      { x: 12, y: 18, w: 1, h: 4, type: OBSTACLE_WALL },
-      { x: 27, y: 18, w: 1, h: 4, type: OBSTACLE_WALL },
-
-      // Horizontal barriers
-      { x: 8,  y: 15, w: 3, h: 1, type: OBSTACLE_CRATE },
-      { x: 29, y: 15, w: 3, h: 1, type: OBSTACLE_CRATE },
-    ];
+  isBlocked(x, y, size = 0) {
+    return this.isOutOfBounds(x, y, size) || this.obstacleAt(x, y, size) !== null;
+  }
 
-    this.obstacles = layouts;
+  isOutOfBounds(x, y, size = 0) {
+    return x - size < 0 || x + size > this.width || y - size < 0 || y + size > this.height;
   }
 
-  isBlocked(x, y, size = 0) {
-    // Arena bounds
-    if (x - size < 0 || x + size > this.width) return true;
-    if (y - size < 0 || y + size > this.height) return true;
+  /** The first standing obstacle touching the circle, or null. */
+  obstacleAt(x, y, size = 0) {
+    for (const obs of this.obstacles) {
+      if (obs.broken) continue;
+      if (this._circleRectCollision(x, y, size, obs.x, obs.y, obs.w, obs.h)) return obs;
+    }
+    return null;
+  }
+
+  /**
+   * Apply damage to a crate. Walls ignore it. Returns true on the hit that
+   * breaks the crate.
+   */
+  damageObstacle(obs, amount) {
+    if (obs.type !== OBSTACLE_CRATE || obs.broken) return false;
+    obs.hp = Math.max(0, obs.hp - amount);
+    if (obs.hp > 0) return false;
+    obs.broken = true;
+    return true;
+  }
+
+  /** Restore every crate — a new battle or a lobby reset starts intact. */
+  repair() {
+    for (const obs of this.obstacles) {
+      if (obs.type !== OBSTACLE_CRATE) continue;
+      obs.hp = obs.maxHp;
+      obs.broken = false;
+    }
+  }
+
+  /**
+   * True when the straight segment (x1,y1)→(x2,y2) crosses no obstacle.
+   * Slab test (Liang–Barsky) against each obstacle rectangle.
+   */
+  hasLineOfSight(x1, y1, x2, y2) {
+    for (const obs of this.obstacles) {
+      if (obs.broken) continue;
+      if (this._segmentEntry(x1, y1, x2, y2, obs.x, obs.y, obs.w, obs.h) !== null) return false;
+    }
+    return true;
+  }
 
-    // Obstacle collision (AABB vs circle)
+  /** The first standing obstacle the segment (x1,y1)→(x2,y2) runs into, or null. */
+  obstacleAlong(x1, y1, x2, y2) {
+    let first = null;
+    let firstT = Infinity;
     for (const obs of this.obstacles) {
-      if (this._circleRectCollision(x, y, size, obs.x, obs.y, obs.w, obs.h)) {
-        return true;
+      if (obs.broken) continue;
+      const t = this._segmentEntry(x1, y1, x2, y2, obs.x, obs.y, obs.w, obs.h);
+      if (t !== null && t < firstT) { first = obs; firstT = t; }
+    }
+    return first;
+  }
+
+  /** Where along the segment (0–1) it enters the rectangle, or null when it misses. */
+  _segmentEntry(x1, y1, x2, y2, rx, ry, rw, rh) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    let tMin = 0;
+    let tMax = 1;
+    const edges = [
+      [-dx, x1 - rx], [dx, rx + rw - x1],
+      [-dy, y1 - ry], [dy, ry + rh - y1],
+    ];
+    for (const [p, q] of edges) {
+      if (p === 0) {
+        if (q < 0) return null; // parallel and outside this slab
+        continue;
       }
+      const t = q / p;
+      if (p < 0) tMin = Math.max(tMin, t);
+      else tMax = Math.min(tMax, t);
+      if (tMin > tMax) return null;
     }
-    return false;
+    return tMin;
   }
 
   _circleRectCollision(cx, cy, cr, rx, ry, rw, rh) {
@@ -60,11 +118,27 @@ class Arena {
     return (dx * dx + dy * dy) <= (cr * cr);
   }
 
-  getSpawnPoint(existingPositions = []) {
+  /**
+   * A free spot at least 4 units from existingPositions. `zone` ({ xMin, xMax })
+   * keeps it inside a vertical band — team spawn areas.
+   */
+  getSpawnPoint(existingPositions = [], zone = null) {
+    const inZone = p => !zone || (p.x >= zone.xMin && p.x <= zone.xMax);
+
+    // Maps with fixed spawns: a random free one, else fall back to anywhere
+    const free = this.spawnPoints.filter(p =>
+      inZone(p) &&
+      !this.isBlocked(p.x, p.y, 0.5) &&
+      !existingPositions.some(e => Math.hypot(e.x - p.x, e.y - p.y) < 4)
+    );
+    if (free.length > 0) return { ...this.rng.pick(free) };
+
     const margin = 2;
+    const xMin = zone ? Math.max(margin, zone.xMin) : margin;
+    const xMax = zone ? Math.min(this.width - margin, zone.xMax) : this.width - margin;
     for (let attempt = 0; attempt < 200; attempt++) {
-      const x = margin + Math.random() * (this.width - margin * 2);
-      const y = margin + Math.random() * (this.height - margin * 2);
+      const x = xMin + this.rng.next() * (xMax - xMin);
+      const y = margin + this.rng.next() * (this.height - margin * 2);
 
       if (this.isBlocked(x, y, 0.5)) continue;
 
@@ -77,11 +151,78 @@ class Arena {
       return { x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10 };
     }
     // Fallback
-    return { x: margin, y: margin };
+    return { x: xMin, y: margin };
+  }
+
+  /**
+   * Spawn point for a respawn: of a few candidate spots from getSpawnPoint(),
+   * the one farthest from the nearest of `threats` (positions of opponents).
+   */
+  getSafeSpawnPoint(threats = [], zone = null) {
+    let best = null;
+    let bestDist = -1;
+    for (let i = 0; i < SAFE_SPAWN_CANDIDATES; i++) {
+      const spot = this.getSpawnPoint(threats, zone);
+      const dist = Math.min(Infinity, ...threats.map(t => Math.hypot(t.x - spot.x, t.y - spot.y)));
+      if (dist > bestDist) { best = spot; bestDist = dist; }
+    }
+    return best;
+  }
+
+  /**
+   * The free spot closest to (x, y) that a body of radius `size` fits in,
+   * searched on a half-unit grid in growing rings. Deterministic, no rng.
+   */
+  freeSpotNear(x, y, size = 0.5) {
+    x = Math.round(x * 2) / 2;
+    y = Math.round(y * 2) / 2;
+    for (let ring = 0; ring <= Math.max(this.width, this.height) * 2; ring++) {
+      for (let dy = -ring; dy <= ring; dy++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+          const px = x + dx / 2;
+          const py = y + dy / 2;
+          if (!this.isBlocked(px, py, size)) return { x: px, y: py };
+        }
+      }
+    }
+    return { x, y };
+  }
+
+  /**
+   * A copy of `map` stretched to width × height (either may be null to keep
+   * the map's own): obstacles, spawn points, objectives and pickups scale with it.
+   */
+  static resize(map = DEFAULT_MAP, width = null, height = null) {
+    const sx = (width || map.width) / map.width;
+    const sy = (height || map.height) / map.height;
+    const r = n => Math.round(n * 100) / 100;
+    const point = p => ({ ...p, x: r(p.x * sx), y: r(p.y * sy) });
+
+    const resized = {
+      ...map,
+      width: width || map.width,
+      height: height || map.height,
+      obstacles: map.obstacles.map(o => ({ ...o, x: r(o.x * sx), y: r(o.y * sy), w: r(o.w * sx), h: r(o.h * sy) })),
+    };
+    if (map.spawnPoints) resized.spawnPoints = map.spawnPoints.map(point);
+    if (map.pickups) resized.pickups = map.pickups.map(point);
+    if (map.objectives) {
+      const { flags, hill } = map.objectives;
+      resized.objectives = { ...map.objectives };
+      if (flags) resized.objectives.flags = Object.fromEntries(Object.entries(flags).map(([team, p]) => [team, point(p)]));
+      if (hill) {
+        resized.objectives.hill = point(hill);
+        if (hill.radius != null) resized.objectives.hill.radius = r(hill.radius * Math.min(sx, sy));
+      }
+    }
+    return resized;
   }
 
   toJSON() {
     return {
+      mapId: this.mapId,
+      name: this.name,
       width: this.width,
       height: this.height,
       obstacles: this.obstacles,
@@ -89,4 +230,6 @@ class Arena {
   }
 }
 
+Arena.DEFAULT_MAP = DEFAULT_MAP;
+
 module.exports = Arena;
@@ -0,0 +1,162 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Column layouts for the compact per-tick rows. Stored in every recording so a
+// viewer can decode frames without hardcoding the order.
+const PLAYER_FIELDS = ['id', 'x', 'y', 'hp', 'ammo', 'alive', 'kills'];
+const PROJECTILE_FIELDS = ['id', 'ownerId', 'x', 'y', 'dx', 'dy'];
+
+/**
+ * Records a battle tick by tick so it can be reviewed after _endBattle().
+ *
+ * The engine calls onAction/onSpawn while a tick runs and onTickEnd once the
+ * tick has settled; every tick becomes one frame:
+ *   { t, actions, spawns, events, players: [[...PLAYER_FIELDS]], projectiles: [[...PROJECTILE_FIELDS]] }
+ * Frames where a crate took damage also carry crates: [[obstacleIndex, hp]],
+ * the changed crates only; recording.arena holds them all at full hp.
+ * In objective modes, frames where the flags/hill/scores changed carry the
+ * game mode's full objective state as `objective`. Likewise frames where a
+ * pickup was collected or came back carry pickups: [[pickupIndex, active]];
+ * recording.pickups lists them all, active at the start.
+ */
+class BattleRecorder {
+  constructor() {
+    this.recording = null;
+    this._actions = [];
+    this._spawns = [];
+    this._logCursor = 0;
+    this._crateHp = [];
+    this._objective = null;
+    this._pickupActive = [];
+  }
+
+  begin(engine) {
+    this.recording = {
+      version: 1,
+      id: 'r_' + uuidv4().slice(0, 8),
+      status: 'running',
+      seed: engine.seed,
+      gameMode: engine.gameMode.id,
+      modeOptions: engine.gameMode.options,
+      teams: engine.teams,
+      friendlyFire: engine.friendlyFire,
+      rules: engine.rules,
+      zone: engine.zone ? { phases: engine.zone.phases, circles: engine.zone.circles } : null,
+      pickups: engine.pickups.length > 0 ? engine.pickups.map(p => ({ type: p.type, x: p.x, y: p.y })) : null,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      arena: JSON.parse(JSON.stringify(engine.arena.toJSON())),
+      map: engine.arena.map,  // full definition, so verification rebuilds the same arena
+      roster: [...engine.players.values()].map(p => ({
+        id: p.id,
+        username: p.username,
+        color: p.color,
+        isBot: p.isBot,
+        team: p.team,
+        x: p.x,
+        y: p.y,
+      })),
+      playerFields: PLAYER_FIELDS,
+      projectileFields: PROJECTILE_FIELDS,
+      frames: [],
+      battleLog: [],
+      winner: null,
+      durationTicks: 0,
+    };
+    this._actions = [];
+    this._spawns = [];
+    this._logCursor = engine.battleLog.length;
+    this._crateHp = engine.arena.obstacles.map(o => o.hp);
+    this._objective = null;
+    this._pickupActive = engine.pickups.map(p => p.active);
+  }
+
+  onAction(player, { action, direction, angle, seq, weapon }) {
+    if (!this.recording) return;
+    const entry = { playerId: player.id, action };
+    if (direction) entry.direction = direction;
+    if (weapon) entry.weapon = weapon;
+    if (typeof angle === 'number') entry.angle = angle;
+    if (seq != null) entry.seq = seq;
+    this._actions.push(entry);
+  }
+
+  onSpawn(projectile) {
+    if (!this.recording) return;
+    this._spawns.push(projectile.toJSON());
+  }
+
+  onTickEnd(engine) {
+    if (!this.recording) return;
+
+    const events = engine.battleLog.slice(this._logCursor);
+    this._logCursor = engine.battleLog.length;
+
+    const frame = {
+      t: engine.tickCount,
+      actions: this._actions,
+      spawns: this._spawns,
+      events,
+      players: [...engine.players.values()].map(BattleRecorder.playerRow),
+      projectiles: [...engine.projectiles.values()]
+        .filter(p => p.alive)
+        .map(BattleRecorder.projectileRow),
+    };
+    const crates = [];
+    engine.arena.obstacles.forEach((o, i) => {
+      if (o.hp !== this._crateHp[i]) {
+        crates.push([i, o.hp]);
+        this._crateHp[i] = o.hp;
+      }
+    });
+    if (crates.length > 0) frame.crates = crates;
+    const pickups = [];
+    engine.pickups.forEach((p, i) => {
+      if (p.active !== this._pickupActive[i]) {
+        pickups.push([i, p.active ? 1 : 0]);
+        this._pickupActive[i] = p.active;
+      }
+    });
+    if (pickups.length > 0) frame.pickups = pickups;
+    const objective = engine.gameMode.toJSON();
+    if (objective && JSON.stringify(objective) !== this._objective) {
+      frame.objective = objective;
+      this._objective = JSON.stringify(objective);
+    }
+    this.recording.frames.push(frame);
+    this._actions = [];
+    this._spawns = [];
+  }
+
+  static playerRow(player) {
+    const j = player.toJSON();
+    return [j.id, j.x, j.y, j.hp, j.ammo, j.alive ? 1 : 0, j.kills];
+  }
+
+  static projectileRow(p) {
+    return [p.id, p.ownerId, round(p.x), round(p.y), round(p.dx), round(p.dy)];
+  }
+
+  /**
+   * Close the recording and return it. status is 'finished' for a battle that
+   * reached _endBattle(), 'aborted' for one cut short by a reset.
+   */
+  finish(engine, status = 'finished') {
+    const rec = this.recording;
+    if (!rec) return null;
+
+    rec.status = status;
+    rec.endedAt = new Date().toISOString();
+    rec.durationTicks = engine.tickCount;
+    rec.battleLog = engine.battleLog.slice();
+    rec.winner = engine.winner ? engine.winner.toJSON() : null;
+    if (engine.teams) rec.winningTeam = engine.winningTeam;
+    this.recording = null;
+    return rec;
+  }
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+module.exports = BattleRecorder;
@@ -0,0 +1,239 @@
+const { v4: uuidv4 } = require('uuid');
+const SeededRandom = require('./SeededRandom');
+
+// Difficulty tunes how often a bot re-decides and how far its aim wanders.
+const DIFFICULTIES = {
+  easy:   { thinkEvery: 6, aimJitter: 25 },
+  normal: { thinkEvery: 3, aimJitter: 10 },
+  hard:   { thinkEvery: 1, aimJitter: 3 },
+};
+
+const STRATEGY_LABELS = {
+  stationary: 'Target',
+  wanderer:   'Wanderer',
+  aggressive: 'Hunter',
+  cover:      'Sneaky',
+};
+
+/**
+ * Server-side AI player. A Bot owns no game state of its own — it reads the
+ * engine each tick and drives its Player through engine.submitAction(), the
+ * same path HTTP actions take, so everything it does is validated, recorded
+ * and replayable like a human's input.
+ *
+ * Each bot has its own SeededRandom (derived from the engine seed and the bot
+ * id) so its decisions never disturb the engine's random sequence.
+ */
+class Bot {
+  constructor(playerId, strategy, { difficulty = 'normal', seed } = {}) {
+    this.playerId = playerId;
+    this.strategy = strategy;
+    this.difficulty = DIFFICULTIES[difficulty] ? difficulty : 'normal';
+    this.rng = new SeededRandom(seed != null ? seed : SeededRandom.randomSeed());
+
+    // Wanderer memory
+    this.heading = this.rng.next() * 360;
+    this.headingTicks = 0;
+    this.lastPos = null;       // position at the previous decision, for stuck checks
+    this.detourHeading = 0;
+    this.detourTicks = 0;
+  }
+
+  static isValidStrategy(strategy) {
+    return Object.prototype.hasOwnProperty.call(STRATEGIES, strategy);
+  }
+
+  static isValidDifficulty(difficulty) {
+    return Object.prototype.hasOwnProperty.call(DIFFICULTIES, difficulty);
+  }
+
+  static generateId() {
+    return 'bot_' + uuidv4().slice(0, 8);
+  }
+
+  static defaultName(strategy, id) {
+    return `${STRATEGY_LABELS[strategy]}-${id.slice(-4)}`;
+  }
+
+  get settings() {
+    return DIFFICULTIES[this.difficulty];
+  }
+
+  /** Called by the engine at the start of every tick. */
+  think(engine) {
+    const me = engine.getPlayer(this.playerId);
+    if (!me || !me.alive) return;
+    if (engine.tickCount % this.settings.thinkEvery !== 0) return;
+
+    // Outside the safe zone (or about to be) → get back in before anything else
+    const zone = engine.zone;
+    if (zone && this.strategy !== 'stationary' && !zone.contains(me.x, me.y, zone.shrinking ? 2 : 0.5)) {
+      return this.moveToward(engine, me, zone.x, zone.y);
+    }
+    STRATEGIES[this.strategy](this, engine, me);
+  }
+
+  // ── Helpers shared by strategies ─────────────
+
+  nearestOpponent(engine, me) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const other of engine.getOpponents(me)) {
+      const d = Math.hypot(other.x - me.x, other.y - me.y);
+      if (d < bestDist) { best = other; bestDist = d; }
+    }
+    return best ? { target: best, dist: bestDist } : null;
+  }
+
+  canSee(engine, me, target) {
+    return engine.arena.hasLineOfSight(me.x, me.y, target.x, target.y);
+  }
+
+  moveToward(engine, me, x, y) {
+    const direct = angleTo(me.x, me.y, x, y);
+
+    // Walked into an obstacle last time → sidestep along it for a while
+    if (this._isStuck(me)) {
+      this.detourHeading = direct + (this.rng.next() < 0.5 ? 90 : -90);
+      this.detourTicks = 12;
+    }
+    this.lastPos = { x: me.x, y: me.y };
+
+    if (this.detourTicks > 0) {
+      this.detourTicks -= this.settings.thinkEvery;
+      return engine.submitAction(me.id, 'move', null, this.detourHeading);
+    }
+    engine.submitAction(me.id, 'move', null, direct);
+  }
+
+  _isStuck(me) {
+    return !!this.lastPos && Math.hypot(me.x - this.lastPos.x, me.y - this.lastPos.y) < 0.01;
+  }
+
+  shootAt(engine, me, target) {
+    this.lastPos = null; // standing still to shoot is not being stuck
+    const weapon = this.pickWeapon(me, Math.hypot(target.x - me.x, target.y - me.y));
+    if (weapon !== me.weapon) engine.submitAction(me.id, 'switch_weapon', null, null, null, weapon);
+    const jitter = (this.rng.next() * 2 - 1) * this.settings.aimJitter;
+    engine.submitAction(me.id, 'shoot', null, angleTo(me.x, me.y, target.x, target.y) + jitter);
+  }
+
+  /**
+   * Keep the weapon in hand while it is loaded and reaches `dist`; otherwise
+   * the first loaded one that does — shotgun up close, sniper at long range.
+   */
+  pickWeapon(me, dist) {
+    const reaches = w => me.magazines[w] > 0 && me.loadout[w].speed * me.loadout[w].lifetime >= dist;
+    const closeUp = dist < 4 && me.magazines.shotgun > 0;
+    if (reaches(me.weapon) && !(closeUp && me.weapon !== 'shotgun')) return me.weapon;
+    const order = dist < 4 ? ['shotgun', 'smg', 'pistol', 'sniper'] : dist > 14 ? ['sniper', 'pistol', 'smg'] : ['smg', 'pistol', 'sniper'];
+    return order.find(reaches) || me.weapon;
+  }
+
+  /** Any magazine left — with all of them empty it is time to reload. */
+  hasAmmo(me) {
+    return Object.values(me.magazines).some(n => n > 0);
+  }
+
+  wander(engine, me) {
+    // Pick a new heading on a timer, or as soon as a wall stops us
+    if (this._isStuck(me) || this.headingTicks <= 0) {
+      this.heading = this.rng.next() * 360;
+      this.headingTicks = 20 + this.rng.int(40);
+    }
+    this.headingTicks -= this.settings.thinkEvery;
+    this.lastPos = { x: me.x, y: me.y };
+    engine.submitAction(me.id, 'move', null, this.heading);
+  }
+
+  /**
+   * A free spot on the far side of the closest obstacle, as seen from the threat.
+   */
+  findCover(engine, me, threat) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const obs of engine.arena.obstacles) {
+      if (obs.broken) continue;
+      const cx = obs.x + obs.w / 2;
+      const cy = obs.y + obs.h / 2;
+      const away = Math.hypot(cx - threat.x, cy - threat.y) || 1;
+      const reach = Math.max(obs.w, obs.h) / 2 + me.size + 0.6;
+      const x = cx + ((cx - threat.x) / away) * reach;
+      const y = cy + ((cy - threat.y) / away) * reach;
+      if (engine.arena.isBlocked(x, y, me.size)) continue;
+      const d = Math.hypot(x - me.x, y - me.y);
+      if (d < bestDist) { best = { x, y }; bestDist = d; }
+    }
+    return best;
+  }
+}
+
+function angleTo(x1, y1, x2, y2) {
+  return (Math.atan2(y2 - y1, x2 - x1) * 180) / Math.PI;
+}
+
+// ── Strategies ──────────────────────────────────────────────────────────────
+//  Each is (bot, engine, me) → submits at most one action, plus a weapon
+//  switch ahead of a shot.
+
+const STRATEGIES = {
+  // Stands still — pure target practice.
+  stationary() {},
+
+  // Roams the arena and never shoots.
+  wanderer(bot, engine, me) {
+    bot.wander(engine, me);
+  },
+
+  // Closes in on the nearest opponent and fires whenever it has a clear shot.
+  // In objective modes it heads for the objective until someone is in range.
+  aggressive(bot, engine, me) {
+    const goal = engine.gameMode.objectiveFor(me);
+    const near = bot.nearestOpponent(engine, me);
+    if (!near) return goal ? bot.moveToward(engine, me, goal.x, goal.y) : bot.wander(engine, me);
+    const { target, dist } = near;
+
+    if (!bot.hasAmmo(me)) return engine.submitAction(me.id, 'reload');
+    const visible = bot.canSee(engine, me, target);
+    if (!visible || dist > 10) {
+      const dest = goal || target;
+      return bot.moveToward(engine, me, dest.x, dest.y);
+    }
+
+    // In range: alternate shots with sidesteps so it is not a sitting duck
+    if (engine.tickCount % (bot.settings.thinkEvery * 2) === 0) {
+      const strafe = angleTo(me.x, me.y, target.x, target.y) + (bot.rng.next() < 0.5 ? 90 : -90);
+      return engine.submitAction(me.id, 'move', null, strafe);
+    }
+    bot.shootAt(engine, me, target);
+  },
+
+  // Hides behind obstacles while hurt or reloading, pops out to shoot otherwise.
+  cover(bot, engine, me) {
+    const goal = engine.gameMode.objectiveFor(me);
+    const near = bot.nearestOpponent(engine, me);
+    if (!near) return goal ? bot.moveToward(engine, me, goal.x, goal.y) : bot.wander(engine, me);
+    const { target } = near;
+
+    const exposed = bot.canSee(engine, me, target);
+    const vulnerable = !bot.hasAmmo(me) || me.isReloading || me.hp <= me.maxHp / 2;
+
+    if (vulnerable && exposed) {
+      const spot = bot.findCover(engine, me, target);
+      if (spot && Math.hypot(spot.x - me.x, spot.y - me.y) > 0.4) {
+        return bot.moveToward(engine, me, spot.x, spot.y);
+      }
+    }
+    if (!bot.hasAmmo(me)) return engine.submitAction(me.id, 'reload');
+    if (exposed) return bot.shootAt(engine, me, target);
+    if (!vulnerable) {
+      const dest = goal || target; // peek, or push the objective
+      return bot.moveToward(engine, me, dest.x, dest.y);
+    }
+  },
+};
+
+Bot.STRATEGIES = Object.keys(STRATEGIES);
+Bot.DIFFICULTIES = Object.keys(DIFFICULTIES);
+
+module.exports = Bot;
@@ -2,19 +2,60 @@ const { v4: uuidv4 } = require('uuid');
 const Arena = require('./Arena');
 const Player = require('./Player');
 const Projectile = require('./Projectile');
+const SeededRandom = require('./SeededRandom');
+const Bot = require('./Bot');
+const SafeZone = require('./SafeZone');
+const Pickup = require('./Pickup');
+const { createGameMode, DEFAULT_GAME_MODE } = require('./modes');
+const { WEAPONS, isValidWeapon } = require('./weapons');
+const { resolveRules } = require('./rules');
 const C = require('./constants');
 
 class GameEngine {
-  constructor() {
-    this.arena = new Arena();
+  /**
+   * @param {object} [options]
+   * @param {number|string} [options.seed]  drives every random choice; random when omitted
+   * @param {boolean} [options.realtime=true]  false → no setInterval, call step() to advance
+   * @param {boolean} [options.fogOfWar=false]  player state only shows what is in line of sight
+   * @param {object} [options.map]  map definition (see MapStore); the classic layout when omitted
+   * @param {boolean} [options.teams=false]  red vs blue — call setTeam() for every player before startBattle()
+   * @param {boolean} [options.friendlyFire=false]  in team battles, whether bullets hurt teammates
+   * @param {string} [options.gameMode='elimination']  battle rules, see modes/
+   * @param {object} [options.modeOptions]  { respawnDelay, scoreLimit } for the game mode
+   * @param {boolean|object[]} [options.zone]  battle royale safe zone: true for the default
+   *   schedule (C.DEFAULT_ZONE_PHASES) or a list of phases, see SafeZone
+   * @param {boolean|object[]} [options.pickups]  true for the map's pickups (random spots
+   *   when it has none) or a list of { type, x, y }, see Pickup
+   * @param {string|object} [options.rules]  balance overrides: a preset id or
+   *   { preset, hp, damage, … }, see rules.js — validate it first
+   */
+  constructor(options = {}) {
+    this.seed = options.seed != null ? options.seed : SeededRandom.randomSeed();
+    this.rng = new SeededRandom(this.seed);
+    this.realtime = options.realtime !== false;
+    this.fogOfWar = !!options.fogOfWar;
+    this.teams = !!options.teams;
+    this.friendlyFire = !!options.friendlyFire;
+    this.rules = resolveRules(options.rules);
+    this.arena = this._buildArena(options.map);
+    this.gameMode = createGameMode(options.gameMode || DEFAULT_GAME_MODE, this, options.modeOptions || {});
+    this.zonePhases = options.zone === true ? C.DEFAULT_ZONE_PHASES : (Array.isArray(options.zone) ? options.zone : null);
+    this.zone = null;               // SafeZone while a battle with one runs
+    this.pickupSpots = options.pickups || null;
+    this.pickups = [];              // Pickup[] while a battle with them runs
     this.players = new Map();       // id → Player
     this.projectiles = new Map();   // id → Projectile
+    this.bots = new Map();          // playerId → Bot (AI-driven players)
+    this.sightings = new Map();     // fog of war: viewerId → Map(playerId → { x, y, tick })
     this.mode = C.MODE_TEST;        // test | lobby | battle | finished
     this.tickCount = 0;
     this.tickInterval = null;
     this.onStateUpdate = null;      // callback(state)
+    this.onBattleEnd = null;        // callback(engine) after _endBattle()
+    this.recorder = null;           // optional BattleRecorder, attached before startBattle()
     this.battleLog = [];
     this.winner = null;
+    this.winningTeam = null;        // team battles: 'red' | 'blue', null for a draw
   }
 
   // ── Player Management ─────────────────────────
@@ -27,16 +68,44 @@ class GameEngine {
       }
     }
 
+    // Player ids are identities shared across engines, so they stay globally
+    // unique (uuid) rather than coming from the seeded generator.
     const id = forceId || ('p_' + uuidv4().slice(0, 8));
     const existingPositions = [...this.players.values()].map(p => ({ x: p.x, y: p.y }));
     const spawn = this.arena.getSpawnPoint(existingPositions);
-    const player = new Player(id, username, spawn.x, spawn.y, forceColor);
+    const color = forceColor || Player.randomColor(this.rng);
+    const player = new Player(id, username, spawn.x, spawn.y, color, this.rules);
     this.players.set(id, player);
     return { player };
   }
 
+  /**
+   * Add an AI player. options: { id, username, color, difficulty } — all
+   * optional; the server passes id/username/color for roster bots so they keep
+   * their identity from lobby to battle.
+   */
+  addBot(strategy, options = {}) {
+    if (!Bot.isValidStrategy(strategy)) {
+      return { error: `Unknown bot strategy: ${strategy}. Use one of ${Bot.STRATEGIES.join(', ')}` };
+    }
+    const id = options.id || Bot.generateId();
+    const username = options.username || Bot.defaultName(strategy, id);
+    const result = this.registerPlayer(username, id, options.color || null);
+    if (result.error) return result;
+
+    result.player.isBot = true;
+    this.bots.set(id, new Bot(id, strategy, {
+      difficulty: options.difficulty,
+      seed: `${this.seed}:${id}`,
+    }));
+    return result;
+  }
+
   removePlayer(playerId) {
     this.players.delete(playerId);
+    this.bots.delete(playerId);
+    this.sightings.delete(playerId);
+    for (const seen of this.sightings.values()) seen.delete(playerId);
     // Remove their projectiles
     for (const [pid, proj] of this.projectiles) {
       if (proj.ownerId === playerId) this.projectiles.delete(pid);
@@ -47,20 +116,49 @@ class GameEngine {
     return this.players.get(playerId);
   }
 
+  setTeam(playerId, team) {
+    const player = this.players.get(playerId);
+    if (!player) return { error: 'Player not found' };
+    if (!C.TEAMS.includes(team)) return { error: `Unknown team: ${team}` };
+    player.team = team;
+    return { success: true };
+  }
+
+  isTeammate(a, b) {
+    return this.teams && !!a && !!b && a.id !== b.id && a.team !== null && a.team === b.team;
+  }
+
+  /** Alive players that `player` may fight — everyone else, minus teammates in team battles. */
+  getOpponents(player) {
+    return [...this.players.values()].filter(p => p.id !== player.id && p.alive && !this.isTeammate(player, p));
+  }
+
   // ── Action Handling ────────────────────────────
 
-  submitAction(playerId, action, direction, angle = null) {
+  /**
+   * Queue an action for the next tick. Each player has one slot per action
+   * category (see C.ACTION_CATEGORIES), so a move and a shoot sent in the same
+   * tick both run; a second action in the same category replaces the first.
+   * `seq` is an optional client sequence number echoed back as
+   * player.lastProcessedSeq once the action has been applied. `weapon` names
+   * the weapon for switch_weapon. A shield or dash still cooling down is
+   * accepted and then ignored, like a reload during its cooldown.
+   */
+  submitAction(playerId, action, direction, angle = null, seq = null, weapon = null) {
     const player = this.players.get(playerId);
     if (!player || !player.alive) return { error: 'Invalid player or player is dead' };
 
     // Validate action
-    const validActions = ['move', 'shoot', 'reload'];
+    const validActions = ['move', 'shoot', 'reload', 'switch_weapon', 'shield', 'dash'];
     if (!validActions.includes(action)) {
       return { error: `Invalid action: ${action}` };
     }
+    if (action === 'switch_weapon' && !isValidWeapon(weapon)) {
+      return { error: `Provide weapon (${Object.keys(WEAPONS).join(', ')}) for 'switch_weapon'` };
+    }
 
     // Validate direction for directional actions — accept named direction OR numeric angle
-    if (['move', 'shoot'].includes(action)) {
+    if (['move', 'shoot', 'dash'].includes(action)) {
       const hasAngle     = typeof angle === 'number' && isFinite(angle);
       const hasDirection = direction && C.DIRECTIONS[direction];
       if (!hasAngle && !hasDirection) {
@@ -68,13 +166,49 @@ class GameEngine {
       }
     }
 
+    if (seq != null && !(Number.isSafeInteger(seq) && seq >= 0)) {
+      return { error: 'seq must be a non-negative integer' };
+    }
+
     // Normalise angle to [0, 360)
     if (typeof angle === 'number') angle = ((angle % 360) + 360) % 360;
 
     // Queue action — tick loop processes it (both battle and sandbox run a tick loop)
-    player.pendingAction = { action, direction, angle };
+    const category = C.ACTION_CATEGORIES[action];
+    const replaced = player.pendingActions[category];
+    player.pendingActions[category] = { action, direction, angle, seq };
+    if (action === 'switch_weapon') player.pendingActions[category].weapon = weapon;
+
+    const result = { success: true, category };
+    if (replaced && replaced.seq != null) result.replacedSeq = replaced.seq;
+    return result;
+  }
 
-    return { success: true };
+  /**
+   * Swap the arena for another map and respawn everyone on it. Sandbox only —
+   * a running battle keeps the map it started on.
+   */
+  loadMap(map) {
+    if (this.mode === C.MODE_BATTLE) return { error: 'Cannot change map during a battle' };
+
+    this.arena = this._buildArena(map);
+    this.projectiles.clear();
+    this.sightings.clear();
+    const positions = [];
+    for (const player of this.players.values()) {
+      const spawn = this.arena.getSpawnPoint(positions);
+      player.x = spawn.x;
+      player.y = spawn.y;
+      positions.push(spawn);
+    }
+    return { success: true, map: this.arena.mapId };
+  }
+
+  /** An Arena for `map`, stretched to the ruleset's arenaWidth/arenaHeight when set. */
+  _buildArena(map) {
+    const { arenaWidth, arenaHeight } = this.rules;
+    if (arenaWidth == null && arenaHeight == null) return new Arena(this.rng, map);
+    return new Arena(this.rng, Arena.resize(map, arenaWidth, arenaHeight));
   }
 
   // ── Ready / Start ──────────────────────────────
@@ -95,22 +229,51 @@ class GameEngine {
     this.tickCount = 0;
     this.winner = null;
     this.battleLog = [];
+    this.winningTeam = null;
+    this.arena.repair();
 
     // Reset all players
     const positions = [];
     for (const player of this.players.values()) {
-      const spawn = this.arena.getSpawnPoint(positions);
+      const spawn = this.arena.getSpawnPoint(positions, this.gameMode.spawnZone(player));
       player.reset(spawn.x, spawn.y);
       positions.push({ x: spawn.x, y: spawn.y });
     }
 
     // Clear projectiles
     this.projectiles.clear();
+    this.sightings.clear();
+    this.zone = this.zonePhases ? new SafeZone(this.arena, { phases: this.zonePhases, seed: `${this.seed}:zone` }) : null;
+    this._placePickups();
+    this.gameMode.onStart();
+
+    if (this.recorder) this.recorder.begin(this);
 
     // Start tick loop
     this._startTickLoop();
 
-    return { success: true, message: 'Battle started!' };
+    return {
+      success: true,
+      message: 'Battle started!',
+      seed: this.seed,
+      map: this.arena.mapId,
+      fogOfWar: this.fogOfWar,
+      gameMode: this.gameMode.id,
+      scoreLimit: this.gameMode.scoreLimit,
+      respawnDelay: this.gameMode.respawnTicks,
+      zone: !!this.zone,
+      pickups: this.pickups.length > 0,
+      rules: this.rules,
+    };
+  }
+
+  _placePickups() {
+    if (!this.pickupSpots) {
+      this.pickups = [];
+      return;
+    }
+    const spots = Array.isArray(this.pickupSpots) ? this.pickupSpots : Pickup.layout(this.arena, `${this.seed}:pickups`);
+    this.pickups = spots.map((p, i) => new Pickup(`pk_${i}`, p.type, p.x, p.y));
   }
 
   startSandbox() {
@@ -127,9 +290,18 @@ class GameEngine {
 
   _startTickLoop() {
     if (this.tickInterval) clearInterval(this.tickInterval);
+    if (!this.realtime) return; // driven manually through step()
     this.tickInterval = setInterval(() => this._tick(), C.TICK_INTERVAL_MS);
   }
 
+  /**
+   * Advance exactly one tick. Used by non-realtime engines (replay
+   * verification, reproducing bug reports) in place of the interval.
+   */
+  step() {
+    this._tick();
+  }
+
   _stopTickLoop() {
     if (this.tickInterval) {
       clearInterval(this.tickInterval);
@@ -140,6 +312,9 @@ class GameEngine {
   _tick() {
     this.tickCount++;
 
+    // 0. Bots decide — their actions queue exactly like HTTP ones
+    this._runBots();
+
     // 1. Process all player actions simultaneously
     this._processActions();
 
@@ -155,9 +330,23 @@ class GameEngine {
     // 5. Tick cooldowns
     this._tickCooldowns();
 
+    // 5b. Safe zone, respawns, pickups and objectives (battle mode)
+    if (this.mode === C.MODE_BATTLE) {
+      if (this.zone) this._applyZone();
+      this._respawnPlayers();
+      if (this.pickups.length > 0) this._updatePickups();
+      this.gameMode.onTick();
+    }
+
     // 6. Clean up dead projectiles
     this._cleanupProjectiles();
 
+    // 6b. Record the settled tick (battle recordings only)
+    if (this.recorder) this.recorder.onTickEnd(this);
+
+    // 6c. Remember where each player last saw its enemies (fog of war only)
+    if (this.fogOfWar) this._updateSightings();
+
     // 7. Check win condition (battle mode)
     if (this.mode === C.MODE_BATTLE) {
       this._checkWinCondition();
@@ -169,94 +358,163 @@ class GameEngine {
     }
   }
 
+  _updateSightings() {
+    for (const viewer of this.players.values()) {
+      if (!this.sightings.has(viewer.id)) this.sightings.set(viewer.id, new Map());
+      const seen = this.sightings.get(viewer.id);
+      for (const other of this.getOpponents(viewer)) {
+        if (this.canSee(viewer, other.x, other.y)) {
+          seen.set(other.id, { x: other.x, y: other.y, tick: this.tickCount });
+        }
+      }
+    }
+  }
+
+  _runBots() {
+    for (const bot of this.bots.values()) bot.think(this);
+  }
+
   _processActions() {
     for (const player of this.players.values()) {
-      if (!player.alive || !player.pendingAction) continue;
-
-      const { action, direction, angle } = player.pendingAction;
-      player.pendingAction = null;
+      const queued = player.pendingActions;
+      player.pendingActions = {};
+      if (!player.alive) continue;
+
+      // Movement first, so a shot queued alongside it leaves from the new spot,
+      // and a weapon switch before combat, so that shot uses the new weapon
+      for (const category of C.ACTION_CATEGORY_ORDER) {
+        const entry = queued[category];
+        if (!entry) continue;
+
+        const { action, direction, angle, seq } = entry;
+        if (this.recorder) this.recorder.onAction(player, entry);
+
+        switch (action) {
+          case 'move':          this._handleMove(player, direction, angle);   break;
+          case 'dash':          this._handleDash(player, direction, angle);   break;
+          case 'shield':        player.raiseShield();                         break;
+          case 'switch_weapon': this._handleSwitchWeapon(player, entry.weapon); break;
+          case 'shoot':         this._handleShoot(player, direction, angle);  break;
+          case 'reload':        this._handleReload(player);                   break;
+        }
 
-      switch (action) {
-        case 'move':   this._handleMove(player, direction, angle);   break;
-        case 'shoot':  this._handleShoot(player, direction, angle);  break;
-        case 'reload': this._handleReload(player);                   break;
+        if (seq != null && (player.lastProcessedSeq == null || seq > player.lastProcessedSeq)) {
+          player.lastProcessedSeq = seq;
+        }
       }
     }
   }
 
-  _handleMove(player, direction, angle = null) {
-    let dx, dy;
+  /** Unit vector for an angle in degrees, else a named direction; null if neither. */
+  static _heading(direction, angle) {
     if (typeof angle === 'number') {
       const rad = (angle * Math.PI) / 180;
-      dx = Math.cos(rad);
-      dy = Math.sin(rad);
-    } else {
-      const dir = C.DIRECTIONS[direction];
-      if (!dir) return;
-      dx = dir.x;
-      dy = dir.y;
-    }
-
-    const newX = player.x + dx * C.PLAYER_SPEED;
-    const newY = player.y + dy * C.PLAYER_SPEED;
-
-    if (!this.arena.isBlocked(newX, newY, player.size)) {
-      let blocked = false;
-      for (const other of this.players.values()) {
-        if (other.id === player.id || !other.alive) continue;
-        if (Math.hypot(newX - other.x, newY - other.y) < player.size + other.size) {
-          blocked = true;
-          break;
-        }
-      }
-      if (!blocked) {
-        player.x = newX;
-        player.y = newY;
-      }
+      return { dx: Math.cos(rad), dy: Math.sin(rad) };
+    }
+    const dir = C.DIRECTIONS[direction];
+    return dir ? { dx: dir.x, dy: dir.y } : null;
+  }
+
+  /** Whether `player` fits at (x, y) without overlapping a wall or another living player. */
+  _canStand(player, x, y) {
+    if (this.arena.isBlocked(x, y, player.size)) return false;
+    for (const other of this.players.values()) {
+      if (other.id === player.id || !other.alive) continue;
+      if (Math.hypot(x - other.x, y - other.y) < player.size + other.size) return false;
     }
+    return true;
+  }
+
+  _handleMove(player, direction, angle = null) {
+    const heading = GameEngine._heading(direction, angle);
+    if (!heading) return;
+
+    const speed = this.rules.speed * (player.hasBuff('speed') ? C.SPEED_BUFF_MULTIPLIER : 1);
+    const newX = player.x + heading.dx * speed;
+    const newY = player.y + heading.dy * speed;
+    if (this._canStand(player, newX, newY)) {
+      player.x = newX;
+      player.y = newY;
+    }
+  }
+
+  /**
+   * Burst up to DASH_DISTANCE along the heading in small steps, stopping at
+   * the last free spot before a wall or player. A dash that cannot move at
+   * all costs nothing.
+   */
+  _handleDash(player, direction, angle = null) {
+    if (!player.canDash) return;
+    const heading = GameEngine._heading(direction, angle);
+    if (!heading) return;
+
+    const stepSize = 0.25;
+    const steps = Math.round(C.DASH_DISTANCE / stepSize);
+    let moved = false;
+    for (let i = 0; i < steps; i++) {
+      const newX = player.x + heading.dx * stepSize;
+      const newY = player.y + heading.dy * stepSize;
+      if (!this._canStand(player, newX, newY)) break;
+      player.x = newX;
+      player.y = newY;
+      moved = true;
+    }
+    if (moved) player.startDashCooldown();
+  }
+
+  _handleSwitchWeapon(player, weapon) {
+    if (weapon === player.weapon) return;
+    player.weapon = weapon;
+    player.fireCooldown = Math.max(player.fireCooldown, C.WEAPON_SWITCH_TICKS);
   }
 
   _handleShoot(player, direction, angle = null) {
+    const weapon = player.loadout[player.weapon];
     if (player.ammo <= 0) return;
-    if (player.isReloading) return;
+    if (player.isReloading || player.fireCooldown > 0) return;
 
     let bulletCount = 0;
     for (const p of this.projectiles.values()) {
       if (p.ownerId === player.id && p.alive) bulletCount++;
     }
-    if (bulletCount >= C.MAX_BULLETS_PER_PLAYER) return;
+    if (bulletCount >= weapon.maxBullets) return;
 
-    let dx, dy;
-    if (typeof angle === 'number') {
-      const rad = (angle * Math.PI) / 180;
-      dx = Math.cos(rad);
-      dy = Math.sin(rad);
-    } else {
-      const dir = C.DIRECTIONS[direction];
-      if (!dir) return;
-      dx = dir.x;
-      dy = dir.y;
-    }
+    const heading = GameEngine._heading(direction, angle);
+    if (!heading) return;
 
     // Normalise to unit vector
-    const len = Math.hypot(dx, dy);
-    dx /= len;
-    dy /= len;
+    const len = Math.hypot(heading.dx, heading.dy);
+    const dx = heading.dx / len;
+    const dy = heading.dy / len;
 
     player.ammo--;
-
-    const id = 'b_' + uuidv4().slice(0, 8);
-    const spawnX = player.x + dx * (player.size + 0.2);
-    const spawnY = player.y + dy * (player.size + 0.2);
-    const projectile = new Projectile(id, player.id, spawnX, spawnY, dx, dy);
-    this.projectiles.set(id, projectile);
+    player.fireCooldown = weapon.fireTicks;
+    player.spawnProtection = 0; // shooting gives up spawn protection
+
+    // Pellets fan out evenly across the weapon's spread, centred on the aim
+    for (let i = 0; i < weapon.pellets; i++) {
+      let px = dx, py = dy;
+      if (weapon.pellets > 1) {
+        const offset = (weapon.spread * (i / (weapon.pellets - 1) - 0.5) * Math.PI) / 180;
+        px = dx * Math.cos(offset) - dy * Math.sin(offset);
+        py = dx * Math.sin(offset) + dy * Math.cos(offset);
+      }
+      const id = 'b_' + this.rng.hex(8);
+      const spawnX = player.x + px * (player.size + 0.2);
+      const spawnY = player.y + py * (player.size + 0.2);
+      const projectile = new Projectile(id, player.id, spawnX, spawnY, px, py, player.weapon, weapon);
+      if (player.hasBuff('damage')) projectile.damage *= C.DAMAGE_BUFF_MULTIPLIER;
+      this.projectiles.set(id, projectile);
+      if (this.recorder) this.recorder.onSpawn(projectile);
+    }
   }
 
+  /** Refill the current weapon's magazine; it cannot fire until the weapon's reload time has passed. */
   _handleReload(player) {
     if (player.ammo >= player.maxAmmo) return;
     if (player.isReloading) return;
-    player.ammo = Math.min(player.maxAmmo, player.ammo + C.RELOAD_AMOUNT);
-    player.reloadCooldown = C.RELOAD_COOLDOWN_TICKS;
+    player.ammo = player.maxAmmo;
+    player.reloadCooldown = player.loadout[player.weapon].reloadTicks;
   }
 
   _moveProjectiles() {
@@ -273,20 +531,40 @@ class GameEngine {
       const prevX = proj.x - proj.dx;
       const prevY = proj.y - proj.dy;
 
+      const shooter = this.players.get(proj.ownerId);
       for (const player of this.players.values()) {
         if (!player.alive) continue;
         if (player.id === proj.ownerId) continue; // no self-hit
+        const friendly = this.isTeammate(shooter, player);
+        if (friendly && !this.friendlyFire) continue; // passes through teammates
 
         // Minimum distance from the player centre to the bullet's path segment this tick
         const dist = GameEngine._pointSegDist(player.x, player.y, prevX, prevY, proj.x, proj.y);
         if (dist < proj.size + player.size) {
-          // Hit!
-          const dmg = player.takeDamage(proj.damage);
+          // Fresh respawns soak up the bullet unharmed
+          if (player.isProtected) {
+            proj.destroy();
+            break;
+          }
+
+          // Hit! A raised shield soaks most of it
+          const damage = player.isShielded
+            ? Math.round(proj.damage * C.SHIELD_DAMAGE_MULTIPLIER)
+            : proj.damage;
+          const dmg = player.takeDamage(damage);
           proj.destroy();
 
-          // Track stats
-          const shooter = this.players.get(proj.ownerId);
-          if (shooter) {
+          // Track stats — no credit for hurting your own team
+          if (shooter && friendly) {
+            if (!player.alive) {
+              this.battleLog.push({
+                tick: this.tickCount,
+                event: 'teamkill',
+                killer: shooter.username,
+                victim: player.username,
+              });
+            }
+          } else if (shooter) {
             shooter.damageDealt += dmg;
             if (!player.alive) {
               shooter.kills++;
@@ -299,6 +577,8 @@ class GameEngine {
             }
           }
 
+          if (!player.alive) this._onPlayerDown(player, shooter);
+
           this.battleLog.push({
             tick: this.tickCount,
             event: 'hit',
@@ -316,8 +596,25 @@ class GameEngine {
   _checkProjectileWallCollisions() {
     for (const proj of this.projectiles.values()) {
       if (!proj.alive) continue;
-      if (this.arena.isBlocked(proj.x, proj.y, proj.size)) {
+      if (this.arena.isOutOfBounds(proj.x, proj.y, proj.size)) {
         proj.destroy();
+        continue;
+      }
+      // Swept along this tick's path too, so fast rounds cannot skip a thin wall
+      const obs = this.arena.obstacleAlong(proj.x - proj.dx, proj.y - proj.dy, proj.x, proj.y) ||
+        this.arena.obstacleAt(proj.x, proj.y, proj.size);
+      if (!obs) continue;
+      proj.destroy();
+
+      if (this.arena.damageObstacle(obs, proj.damage)) {
+        const owner = this.players.get(proj.ownerId);
+        this.battleLog.push({
+          tick: this.tickCount,
+          event: 'crate_destroyed',
+          by: owner ? owner.username : null,
+          x: obs.x,
+          y: obs.y,
+        });
       }
     }
   }
@@ -334,45 +631,114 @@ class GameEngine {
     }
   }
 
+  /** A player was just eliminated: count the death and schedule the respawn, if the mode has them. */
+  _onPlayerDown(player, killer) {
+    player.deaths++;
+    player.buffs = {};
+    const delay = this.gameMode.respawnTicks;
+    if (this.mode === C.MODE_BATTLE && delay != null) player.respawnAt = this.tickCount + delay;
+    this.gameMode.onPlayerDown(player, killer);
+  }
+
+  /** Move the safe zone on to this tick, then hurt everyone outside it. */
+  _applyZone() {
+    this.zone.update(this.tickCount);
+    for (const player of this.players.values()) {
+      if (!player.alive || this.zone.contains(player.x, player.y)) continue;
+      player.takeDamage(this.zone.damage);
+      if (!player.alive) {
+        this.battleLog.push({ tick: this.tickCount, event: 'zone_kill', victim: player.username });
+        this._onPlayerDown(player, null);
+      }
+    }
+  }
+
+  _respawnPlayers() {
+    for (const player of this.players.values()) {
+      if (player.alive || player.respawnAt == null || this.tickCount < player.respawnAt) continue;
+      const threats = this.getOpponents(player).map(p => ({ x: p.x, y: p.y }));
+      let spawn = this.arena.getSafeSpawnPoint(threats, this.gameMode.spawnZone(player));
+      // Never respawn outside the safe zone
+      if (this.zone && !this.zone.contains(spawn.x, spawn.y)) spawn = this.arena.freeSpotNear(this.zone.x, this.zone.y);
+      player.respawn(spawn.x, spawn.y);
+      this.battleLog.push({ tick: this.tickCount, event: 'respawn', player: player.username });
+    }
+  }
+
+  /** Bring collected pickups back on time, then hand out the ones a player is touching. */
+  _updatePickups() {
+    for (const pickup of this.pickups) {
+      pickup.update(this.tickCount);
+      if (!pickup.active) continue;
+      for (const player of this.players.values()) {
+        if (!player.alive || !pickup.touches(player)) continue;
+        if (!player.applyPickup(pickup.type)) continue;
+        pickup.collect(this.tickCount);
+        this.battleLog.push({ tick: this.tickCount, event: 'pickup', player: player.username, type: pickup.type });
+        break;
+      }
+    }
+  }
+
   _checkWinCondition() {
     // Time limit
-    if (this.tickCount >= C.MAX_BATTLE_DURATION_TICKS) {
+    if (this.tickCount >= this.rules.timeLimitTicks) {
       this._endBattle();
       return;
     }
-
-    const alivePlayers = [...this.players.values()].filter(p => p.alive);
-    if (alivePlayers.length <= 1 && this.players.size > 1) {
-      this._endBattle();
-    }
+    if (this.gameMode.isOver()) this._endBattle();
   }
 
   _endBattle() {
     this._stopTickLoop();
     this.mode = C.MODE_FINISHED;
 
-    // Determine winner
-    const alivePlayers = [...this.players.values()].filter(p => p.alive);
-    if (alivePlayers.length === 1) {
-      this.winner = alivePlayers[0];
-    } else {
-      // Highest HP wins
-      const sorted = [...this.players.values()].sort((a, b) => b.hp - a.hp);
-      this.winner = sorted[0];
-    }
+    // The game mode decides who won; in team battles `winner` is the winning team's best player
+    const { winner, winningTeam } = this.gameMode.decideResult();
+    this.winner = winner || null;
+    this.winningTeam = winningTeam || null;
 
     this.battleLog.push({
       tick: this.tickCount,
       event: 'game_over',
       winner: this.winner ? this.winner.username : 'none',
+      ...(this.teams ? { team: this.winningTeam || 'draw' } : {}),
     });
 
+    if (this.onBattleEnd) this.onBattleEnd(this);
+
     // Broadcast final state
     if (this.onStateUpdate) {
       this.onStateUpdate(this.getFullState());
     }
   }
 
+  /**
+   * Per-team tallies for state payloads: { red: { players, alive, hp, kills }, blue: … }.
+   */
+  getTeamSummary() {
+    if (!this.teams) return null;
+    const summary = {};
+    for (const team of C.TEAMS) summary[team] = { players: 0, alive: 0, hp: 0, kills: 0 };
+    for (const p of this.players.values()) {
+      const t = summary[p.team];
+      if (!t) continue;
+      t.players++;
+      if (p.alive) { t.alive++; t.hp += p.hp; }
+      t.kills += p.kills;
+    }
+    return summary;
+  }
+
+  /** Team ahead on alive players, then remaining hp, then kills. null on a tie. */
+  _leadingTeam() {
+    const summary = this.getTeamSummary();
+    const [a, b] = C.TEAMS.map(team => ({ team, ...summary[team] }));
+    const diff = (b.alive - a.alive) || (b.hp - a.hp) || (b.kills - a.kills);
+    if (diff === 0) return null;
+    return diff > 0 ? b.team : a.team;
+  }
+
   _readyCount() {
     let count = 0;
     for (const p of this.players.values()) {
@@ -384,55 +750,136 @@ class GameEngine {
   // ── State Getters ──────────────────────────────
 
   getFullState() {
-    return {
+    const state = {
       mode: this.mode,
       tick: this.tickCount,
       arena: this.arena.toJSON(),
+      rules: this.rules,
       players: [...this.players.values()].map(p => p.toJSON()),
       projectiles: [...this.projectiles.values()].filter(p => p.alive).map(p => p.toJSON()),
       winner: this.winner ? this.winner.toJSON() : null,
+      fogOfWar: this.fogOfWar,
     };
+    if (this.teams) this._addTeamFields(state);
+    this._addObjectiveFields(state);
+    if (this.zone) state.zone = this.zone.toJSON();
+    if (this.pickups.length > 0) state.pickups = this.pickups.map(p => p.toJSON());
+    return state;
+  }
+
+  _addTeamFields(state) {
+    state.teams = this.getTeamSummary();
+    state.friendlyFire = this.friendlyFire;
+    state.winningTeam = this.winningTeam;
+  }
+
+  /** gameMode, plus the mode's flags/hill/scores once a battle has set them up. */
+  _addObjectiveFields(state) {
+    state.gameMode = this.gameMode.id;
+    const objective = this.gameMode.toJSON();
+    if (objective) state.objective = objective;
+  }
+
+  /**
+   * Whether `viewer` can see the point (x, y): within C.VIEW_RANGE and, with
+   * fog of war on, not hidden behind an obstacle.
+   */
+  canSee(viewer, x, y) {
+    if (Math.hypot(x - viewer.x, y - viewer.y) >= C.VIEW_RANGE) return false;
+    return !this.fogOfWar || this.arena.hasLineOfSight(viewer.x, viewer.y, x, y);
   }
 
   getPlayerState(playerId) {
     const player = this.players.get(playerId);
     if (!player) return null;
 
-    // Get nearby projectiles (within viewport)
-    const viewRange = 12;
     const nearbyProjectiles = [...this.projectiles.values()]
-      .filter(p => p.alive && Math.hypot(p.x - player.x, p.y - player.y) < viewRange)
+      .filter(p => p.alive && this.canSee(player, p.x, p.y))
       .map(p => p.toJSON());
 
     const nearbyPlayers = [...this.players.values()]
-      .filter(p => p.id !== playerId && Math.hypot(p.x - player.x, p.y - player.y) < viewRange)
+      .filter(p => p.id !== playerId && this.canSee(player, p.x, p.y))
       .map(p => p.toJSON());
 
-    return {
+    const state = {
       mode: this.mode,
       tick: this.tickCount,
+      fogOfWar: this.fogOfWar,
       self: player.toJSON(),
       nearbyPlayers,
       nearbyProjectiles,
       arena: this.arena.toJSON(),
+      rules: this.rules,
       winner: this.winner ? this.winner.toJSON() : null,
     };
+    if (this.fogOfWar) state.lastKnown = this._lastKnownFor(player, nearbyPlayers);
+    if (!player.alive && player.respawnAt != null) state.self.respawnIn = player.respawnAt - this.tickCount;
+    this._addObjectiveFields(state);
+    if (this.zone) state.zone = { ...this.zone.toJSON(), inside: this.zone.contains(player.x, player.y) };
+    if (this.pickups.length > 0) state.pickups = this.pickups.map(p => p.toJSON());
+    if (this.teams) {
+      // Teammates are always known, wherever they are
+      this._addTeamFields(state);
+      state.teammates = [...this.players.values()]
+        .filter(p => this.isTeammate(player, p))
+        .map(p => p.toJSON());
+    }
+    return state;
+  }
+
+  /** Recently seen enemies that are out of sight now, with where they were. */
+  _lastKnownFor(player, visible) {
+    const seen = this.sightings.get(player.id);
+    if (!seen) return [];
+
+    const visibleIds = new Set(visible.map(p => p.id));
+    const result = [];
+    for (const [id, sighting] of seen) {
+      const other = this.players.get(id);
+      const age = this.tickCount - sighting.tick;
+      if (!other || !other.alive || age > C.FOG_MEMORY_TICKS) {
+        seen.delete(id);
+        continue;
+      }
+      if (visibleIds.has(id)) continue;
+      result.push({
+        id,
+        username: other.username,
+        color: other.color,
+        x: Math.round(sighting.x * 100) / 100,
+        y: Math.round(sighting.y * 100) / 100,
+        seenAtTick: sighting.tick,
+        ticksAgo: age,
+      });
+    }
+    return result;
   }
 
   getDebugState() {
     return {
       mode: this.mode,
       tick: this.tickCount,
+      seed: this.seed,
+      fogOfWar: this.fogOfWar,
+      rules: this.rules,
+      gameMode: this.gameMode.id,
+      objective: this.gameMode.toJSON(),
+      zone: this.zone ? this.zone.toJSON() : null,
+      pickups: this.pickups.map(p => ({ ...p.toJSON(), respawnAt: p.respawnAt })),
+      teams: this.getTeamSummary(),
+      friendlyFire: this.friendlyFire,
       arena: this.arena.toJSON(),
       players: [...this.players.values()].map(p => ({
         ...p.toJSON(),
+        strategy: this.bots.has(p.id) ? this.bots.get(p.id).strategy : undefined,
         ammo: p.ammo,
-        pendingAction: p.pendingAction,
+        pendingActions: p.pendingActions,
         reloadCooldown: p.reloadCooldown,
         damageDealt: p.damageDealt,
       })),
       projectiles: [...this.projectiles.values()].map(p => ({
         ...p.toJSON(),
+        damage: p.damage,
         ticksLived: p.ticksLived,
         maxLifetime: p.maxLifetime,
       })),
@@ -448,8 +895,13 @@ class GameEngine {
     this.mode = C.MODE_TEST;
     this.tickCount = 0;
     this.projectiles.clear();
+    this.sightings.clear();
     this.battleLog = [];
     this.winner = null;
+    this.winningTeam = null;
+    this.zone = null;
+    this.pickups = [];
+    this.arena.repair();
 
     const positions = [];
     for (const player of this.players.values()) {
@@ -0,0 +1,223 @@
+const Arena = require('./Arena');
+const SeededRandom = require('./SeededRandom');
+const { PLAYER_SIZE, OBSTACLE_WALL, OBSTACLE_CRATE } = require('./constants');
+
+// Map id used for generated arenas — in a rotation it means "a fresh one each battle"
+const GENERATED_MAP_ID = 'generated';
+
+const SYMMETRIES = ['mirror', 'rotational'];
+const DENSITIES = { low: 0.06, normal: 0.1, high: 0.15 }; // share of the arena covered
+const DEFAULTS = { width: 40, height: 30, symmetry: 'mirror', density: 'normal', spawns: 8, spawnSpacing: 8 };
+const LIMITS = {
+  width:        [20, 80],
+  height:       [16, 60],
+  spawns:       [2, 16],
+  spawnSpacing: [4, 20],
+};
+
+const MAX_PLACEMENT_ATTEMPTS = 400;
+
+/**
+ * Builds arena layouts from a seed, in the same shape as the files in maps/.
+ *
+ * Obstacles are placed in pairs that mirror each other — left/right
+ * ('mirror') or through the centre ('rotational') — so neither side of the
+ * arena is favoured. A pair is only kept if every cell a player fits in stays
+ * reachable from every other, and spawn points come in mirrored pairs at
+ * least `spawnSpacing` units apart.
+ *
+ * The same options always produce the same map.
+ */
+class MapGenerator {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    if (this.options.seed == null) this.options.seed = SeededRandom.randomSeed();
+    this.rng = new SeededRandom(this.options.seed);
+  }
+
+  /**
+   * Check user-supplied options. Returns an error message, or null when valid.
+   */
+  static validateOptions(options = {}) {
+    const { seed, symmetry, density, spawns } = options;
+    if (seed != null && !SeededRandom.isValidSeed(seed)) {
+      return 'seed must be an integer from 0 to 4294967295 or a string of up to 64 characters';
+    }
+    if (symmetry != null && !SYMMETRIES.includes(symmetry)) {
+      return `symmetry must be one of ${SYMMETRIES.join(', ')}`;
+    }
+    if (density != null && !DENSITIES[density]) {
+      return `density must be one of ${Object.keys(DENSITIES).join(', ')}`;
+    }
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+      const value = options[key];
+      if (value != null && (!Number.isInteger(value) || value < min || value > max)) {
+        return `${key} must be an integer from ${min} to ${max}`;
+      }
+    }
+    if (spawns != null && spawns % 2 !== 0) return 'spawns must be even (spawn points come in mirrored pairs)';
+    return null;
+  }
+
+  generate() {
+    const { seed, width, height, symmetry, density, spawns, spawnSpacing } = this.options;
+    const obstacles = [];
+    const targetArea = width * height * DENSITIES[density];
+    let area = 0;
+
+    for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS && area < targetArea; attempt++) {
+      const piece = this._randomPiece();
+      const twin = this._mirrorRect(piece);
+      const group = sameRect(piece, twin) ? [piece] : [piece, twin];
+
+      if (group.length === 2 && rectsOverlap(piece, twin, 1)) continue;
+      if (!group.every(r => obstacles.every(o => !rectsOverlap(r, o, 1)))) continue;
+      if (!this._isConnected(obstacles.concat(group))) continue;
+
+      obstacles.push(...group);
+      area += group.reduce((sum, r) => sum + r.w * r.h, 0);
+    }
+
+    return {
+      id: GENERATED_MAP_ID,
+      name: `Generated ${seed}`,
+      description: `Procedural, ${symmetry} symmetry, ${density} density`,
+      author: 'generator',
+      width,
+      height,
+      obstacles,
+      spawnPoints: this._pickSpawns(obstacles, spawns, spawnSpacing),
+      generator: { seed, symmetry, density, spawns, spawnSpacing },
+    };
+  }
+
+  // ── Obstacles ──────────────────────────────────
+
+  _randomPiece() {
+    const { width, height } = this.options;
+    let w, h, type;
+    if (this.rng.next() < 0.35) {
+      type = OBSTACLE_CRATE;
+      w = 1 + this.rng.int(3);
+      h = 1 + this.rng.int(3);
+    } else {
+      type = OBSTACLE_WALL;
+      const length = 3 + this.rng.int(5);
+      if (this.rng.next() < 0.5) { w = length; h = 1; } else { w = 1; h = length; }
+    }
+    // Keep a two-cell ring clear along the edges
+    const x = 2 + this.rng.int(width - w - 3);
+    const y = 2 + this.rng.int(height - h - 3);
+    return { x, y, w, h, type };
+  }
+
+  _mirrorRect(r) {
+    const { width, height, symmetry } = this.options;
+    return {
+      x: width - r.x - r.w,
+      y: symmetry === 'rotational' ? height - r.y - r.h : r.y,
+      w: r.w,
+      h: r.h,
+      type: r.type,
+    };
+  }
+
+  _mirrorPoint(p) {
+    const { width, height, symmetry } = this.options;
+    return { x: width - p.x, y: symmetry === 'rotational' ? height - p.y : p.y };
+  }
+
+  // ── Reachability ───────────────────────────────
+
+  /** Centres of the 1×1 cells a player fits in, as a grid of booleans. */
+  _standableGrid(obstacles) {
+    const { width, height } = this.options;
+    const arena = new Arena(null, { id: GENERATED_MAP_ID, width, height, obstacles });
+    const grid = [];
+    for (let y = 0; y < height; y++) {
+      const row = [];
+      for (let x = 0; x < width; x++) row.push(!arena.isBlocked(x + 0.5, y + 0.5, PLAYER_SIZE));
+      grid.push(row);
+    }
+    return grid;
+  }
+
+  /** True when every standable cell can reach every other (4-neighbour flood fill). */
+  _isConnected(obstacles) {
+    const grid = this._standableGrid(obstacles);
+    const open = [];
+    grid.forEach((row, y) => row.forEach((ok, x) => { if (ok) open.push([x, y]); }));
+    if (open.length === 0) return false;
+
+    const seen = grid.map(row => row.map(() => false));
+    const stack = [open[0]];
+    seen[open[0][1]][open[0][0]] = true;
+    let reached = 0;
+    while (stack.length > 0) {
+      const [x, y] = stack.pop();
+      reached++;
+      for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+        if (grid[ny] && grid[ny][nx] && !seen[ny][nx]) {
+          seen[ny][nx] = true;
+          stack.push([nx, ny]);
+        }
+      }
+    }
+    return reached === open.length;
+  }
+
+  // ── Spawns ─────────────────────────────────────
+
+  _pickSpawns(obstacles, count, spacing) {
+    const grid = this._standableGrid(obstacles);
+    const candidates = [];
+    grid.forEach((row, y) => row.forEach((ok, x) => { if (ok) candidates.push({ x: x + 0.5, y: y + 0.5 }); }));
+
+    // Fisher–Yates with the seeded generator
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = this.rng.int(i + 1);
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+
+    const chosen = [];
+    const farEnough = p => chosen.every(c => Math.hypot(c.x - p.x, c.y - p.y) >= spacing);
+    for (const p of candidates) {
+      if (chosen.length >= count) break;
+      const twin = this._mirrorPoint(p);
+      if (Math.hypot(twin.x - p.x, twin.y - p.y) < spacing) continue;
+      if (!farEnough(p) || !farEnough(twin)) continue;
+      chosen.push(p, twin);
+    }
+    return chosen;
+  }
+
+  /**
+   * Text picture of a map for previews: '#' wall, 'c' crate, 'S' spawn, '.' open.
+   */
+  static render(map) {
+    const rows = [];
+    for (let y = 0; y < map.height; y++) rows.push(new Array(map.width).fill('.'));
+    for (const o of map.obstacles) {
+      for (let y = o.y; y < o.y + o.h; y++) {
+        for (let x = o.x; x < o.x + o.w; x++) rows[y][x] = o.type === OBSTACLE_CRATE ? 'c' : '#';
+      }
+    }
+    for (const s of map.spawnPoints || []) rows[Math.floor(s.y)][Math.floor(s.x)] = 'S';
+    return rows.map(r => r.join(''));
+  }
+}
+
+function sameRect(a, b) {
+  return a.x === b.x && a.y === b.y && a.w === b.w && a.h === b.h;
+}
+
+function rectsOverlap(a, b, pad = 0) {
+  return a.x - pad < b.x + b.w && b.x - pad < a.x + a.w &&
+         a.y - pad < b.y + b.h && b.y - pad < a.y + a.h;
+}
+
+MapGenerator.GENERATED_MAP_ID = GENERATED_MAP_ID;
+MapGenerator.SYMMETRIES = SYMMETRIES;
+MapGenerator.DENSITIES = Object.keys(DENSITIES);
+
+module.exports = MapGenerator;
@@ -0,0 +1,75 @@
+const SeededRandom = require('./SeededRandom');
+const { PICKUP_TYPES, PICKUP_SIZE, PICKUP_RESPAWN_TICKS } = require('./constants');
+
+/**
+ * An item lying in the arena: a health pack, an ammo box or a temporary buff
+ * (see C.PICKUP_TYPES). A collected pickup goes inactive and comes back on
+ * the same spot PICKUP_RESPAWN_TICKS later.
+ */
+class Pickup {
+  constructor(id, type, x, y) {
+    this.id = id;
+    this.type = type;
+    this.x = x;
+    this.y = y;
+    this.size = PICKUP_SIZE;      // collision radius
+    this.active = true;
+    this.respawnAt = null;        // tick it comes back on while collected
+  }
+
+  collect(tick) {
+    this.active = false;
+    this.respawnAt = tick + PICKUP_RESPAWN_TICKS;
+  }
+
+  /** Reactivate once the respawn timer has run out. */
+  update(tick) {
+    if (this.active || tick < this.respawnAt) return;
+    this.active = true;
+    this.respawnAt = null;
+  }
+
+  touches(player) {
+    return Math.hypot(player.x - this.x, player.y - this.y) < this.size + player.size;
+  }
+
+  /**
+   * Where a battle's pickups go: the map's own `pickups`, or one of each type
+   * at random free spots picked from `seed`, kept 4 units apart where possible.
+   * Returns [{ type, x, y }].
+   */
+  static layout(arena, seed) {
+    if (Array.isArray(arena.map.pickups) && arena.map.pickups.length > 0) {
+      return arena.map.pickups.map(p => ({ type: p.type, x: p.x, y: p.y }));
+    }
+
+    const rng = new SeededRandom(seed);
+    const margin = 2;
+    const placed = [];
+    for (const type of PICKUP_TYPES) {
+      let spot = null;
+      for (let attempt = 0; attempt < 20; attempt++) {
+        spot = arena.freeSpotNear(
+          margin + rng.next() * (arena.width - margin * 2),
+          margin + rng.next() * (arena.height - margin * 2),
+          PICKUP_SIZE,
+        );
+        if (placed.every(p => Math.hypot(p.x - spot.x, p.y - spot.y) >= 4)) break;
+      }
+      placed.push({ type, x: spot.x, y: spot.y });
+    }
+    return placed;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      active: this.active,
+    };
+  }
+}
+
+module.exports = Pickup;
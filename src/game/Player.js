@@ -1,11 +1,15 @@
 const {
-  PLAYER_HP, PLAYER_AMMO,
-  PLAYER_MAX_AMMO, PLAYER_SIZE,
-  RELOAD_COOLDOWN_TICKS,
+  PLAYER_SIZE,
+  SPAWN_PROTECTION_TICKS,
+  SHIELD_TICKS, SHIELD_COOLDOWN_TICKS, DASH_COOLDOWN_TICKS,
+  HEALTH_PACK_HP, BUFF_TICKS,
 } = require('./constants');
+const { DEFAULT_WEAPON, weaponsFor, fullMagazines } = require('./weapons');
+const { DEFAULT_RULES } = require('./rules');
 
 class Player {
-  constructor(id, username, x, y, color = null) {
+  /** `rules` is the engine's ruleset (see rules.js); it sets max hp and the weapon stats. */
+  constructor(id, username, x, y, color, rules = DEFAULT_RULES) {
     this.id = id;
     this.username = username;
     this.x = x;
@@ -13,39 +17,126 @@ class Player {
     this.size = PLAYER_SIZE;
 
     // Stats
-    this.hp = PLAYER_HP;
-    this.ammo = PLAYER_AMMO;
-    this.maxAmmo = PLAYER_MAX_AMMO;
+    this.maxHp = rules.hp;
+    this.hp = this.maxHp;
     this.alive = true;
 
+    // Weapons — every player carries all of them; `ammo` is the current one's magazine
+    this.loadout = weaponsFor(rules);  // weapon → stats under this ruleset
+    this.weapon = DEFAULT_WEAPON;
+    this.magazines = fullMagazines(this.loadout); // weapon → rounds left
+
     // State flags
     this.reloadCooldown = 0;      // remaining reload cooldown ticks
+    this.fireCooldowns = {};      // weapon → remaining ticks before it fires again
+    this.shieldTicks = 0;         // remaining ticks the shield is up
+    this.shieldCooldown = 0;      // remaining ticks before the shield can be raised again
+    this.dashCooldown = 0;        // remaining ticks before the next dash
     this.ready = false;
+    this.isBot = false;           // driven by a server-side Bot
+    this.team = null;             // 'red' | 'blue' in team battles
+    this.respawnAt = null;        // tick a fallen player returns on, in modes with respawns
+    this.spawnProtection = 0;     // remaining ticks bullets cannot hurt this player
+    this.buffs = {};              // pickup buff ('speed' | 'damage') → remaining ticks
 
-    // Action queue (processed once per tick)
-    this.pendingAction = null;
+    // Action queue: category → { action, direction, angle, seq }, drained once per tick
+    this.pendingActions = {};
+    this.lastProcessedSeq = null; // highest client seq the engine has applied
 
     // Tracking
     this.kills = 0;
+    this.deaths = 0;
     this.damageDealt = 0;
 
     // Color for rendering — injected so it stays consistent across sandbox and battle
-    this.color = color || Player.randomColor();
+    this.color = color;
   }
 
-  static randomColor() {
+  /** Pick a colour with the engine's seeded generator. */
+  static randomColor(rng) {
     const colors = [
       '#e74c3c', '#3498db', '#2ecc71', '#f1c40f',
       '#9b59b6', '#e67e22', '#1abc9c', '#e84393',
       '#00cec9', '#fdcb6e', '#6c5ce7', '#ff7675',
     ];
-    return colors[Math.floor(Math.random() * colors.length)];
+    return rng.pick(colors);
+  }
+
+  get ammo() {
+    return this.magazines[this.weapon];
+  }
+
+  set ammo(value) {
+    this.magazines[this.weapon] = value;
+  }
+
+  get maxAmmo() {
+    return this.loadout[this.weapon].magazine;
+  }
+
+  get fireCooldown() {
+    return this.fireCooldowns[this.weapon] || 0;
+  }
+
+  set fireCooldown(ticks) {
+    if (ticks > 0) this.fireCooldowns[this.weapon] = ticks;
+    else delete this.fireCooldowns[this.weapon];
   }
 
   get isReloading() {
     return this.reloadCooldown > 0;
   }
 
+  get isProtected() {
+    return this.spawnProtection > 0;
+  }
+
+  get isShielded() {
+    return this.shieldTicks > 0;
+  }
+
+  /** Raise the shield unless it is still cooling down. Returns whether it went up. */
+  raiseShield() {
+    if (this.shieldCooldown > 0) return false;
+    this.shieldTicks = SHIELD_TICKS;
+    this.shieldCooldown = SHIELD_COOLDOWN_TICKS;
+    return true;
+  }
+
+  get canDash() {
+    return this.dashCooldown <= 0;
+  }
+
+  startDashCooldown() {
+    this.dashCooldown = DASH_COOLDOWN_TICKS;
+  }
+
+  hasBuff(name) {
+    return this.buffs[name] > 0;
+  }
+
+  /**
+   * Use a pickup of `type` (see C.PICKUP_TYPES). Returns false when it would
+   * be wasted — health at full hp, ammo with every magazine full — so it stays put.
+   */
+  applyPickup(type) {
+    switch (type) {
+      case 'health':
+        if (this.hp >= this.maxHp) return false;
+        this.hp = Math.min(this.maxHp, this.hp + HEALTH_PACK_HP);
+        return true;
+      case 'ammo': {
+        const full = fullMagazines(this.loadout);
+        if (Object.keys(full).every(w => this.magazines[w] >= full[w])) return false;
+        this.magazines = full;
+        return true;
+      }
+      default:
+        this.buffs[type] = BUFF_TICKS;
+        return true;
+    }
+  }
+
   takeDamage(amount) {
     if (!this.alive) return 0;
     this.hp = Math.max(0, this.hp - amount);
@@ -57,15 +148,58 @@ class Player {
 
   tickCooldowns() {
     if (this.reloadCooldown > 0) this.reloadCooldown--;
+    for (const weapon of Object.keys(this.fireCooldowns)) {
+      if (--this.fireCooldowns[weapon] <= 0) delete this.fireCooldowns[weapon];
+    }
+    if (this.shieldTicks > 0) this.shieldTicks--;
+    if (this.shieldCooldown > 0) this.shieldCooldown--;
+    if (this.dashCooldown > 0) this.dashCooldown--;
+    if (this.spawnProtection > 0) this.spawnProtection--;
+    for (const name of Object.keys(this.buffs)) {
+      if (--this.buffs[name] <= 0) delete this.buffs[name];
+    }
+  }
+
+  /**
+   * Back into the fight after a respawn delay with full magazines; the weapon
+   * in hand, kills, deaths and damage dealt are kept.
+   */
+  respawn(x, y) {
+    this.hp = this.maxHp;
+    this.magazines = fullMagazines(this.loadout);
+    this.alive = true;
+    this.reloadCooldown = 0;
+    this.fireCooldowns = {};
+    this.clearAbilities();
+    this.pendingActions = {};
+    this.respawnAt = null;
+    this.spawnProtection = SPAWN_PROTECTION_TICKS;
+    this.buffs = {};
+    this.x = x;
+    this.y = y;
+  }
+
+  clearAbilities() {
+    this.shieldTicks = 0;
+    this.shieldCooldown = 0;
+    this.dashCooldown = 0;
   }
 
   reset(x, y) {
-    this.hp = PLAYER_HP;
-    this.ammo = PLAYER_AMMO;
+    this.hp = this.maxHp;
+    this.weapon = DEFAULT_WEAPON;
+    this.magazines = fullMagazines(this.loadout);
     this.alive = true;
     this.reloadCooldown = 0;
-    this.pendingAction = null;
+    this.fireCooldowns = {};
+    this.clearAbilities();
+    this.pendingActions = {};
+    this.lastProcessedSeq = null;
+    this.respawnAt = null;
+    this.spawnProtection = 0;
+    this.buffs = {};
     this.kills = 0;
+    this.deaths = 0;
     this.damageDealt = 0;
     this.ready = false;
     this.x = x;
@@ -79,12 +213,27 @@ class Player {
       x: Math.round(this.x * 100) / 100,
       y: Math.round(this.y * 100) / 100,
       hp: this.hp,
+      maxHp: this.maxHp,
       ammo: this.ammo,
+      maxAmmo: this.maxAmmo,
       alive: this.alive,
       reloading: this.isReloading,
       reloadCooldown: this.reloadCooldown,
+      weapon: this.weapon,
+      magazines: { ...this.magazines },
+      fireCooldown: this.fireCooldown,
+      shielded: this.isShielded,
+      shieldTicks: this.shieldTicks,
+      shieldCooldown: this.shieldCooldown,
+      dashCooldown: this.dashCooldown,
       kills: this.kills,
+      deaths: this.deaths,
+      protected: this.isProtected,
+      buffs: { ...this.buffs },
       color: this.color,
+      isBot: this.isBot,
+      team: this.team,
+      lastProcessedSeq: this.lastProcessedSeq,
     };
   }
 }
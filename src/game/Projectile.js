@@ -1,17 +1,23 @@
-const { BULLET_SPEED, BULLET_MAX_LIFETIME_TICKS, BULLET_DAMAGE, BULLET_SIZE } = require('./constants');
+const { BULLET_SIZE } = require('./constants');
+const { WEAPONS, DEFAULT_WEAPON } = require('./weapons');
 
 class Projectile {
-  constructor(id, ownerId, x, y, dx, dy) {
+  /**
+   * (dx, dy) is a unit direction; speed, damage and range come from `stats`,
+   * the firing weapon's entry in the shooter's loadout.
+   */
+  constructor(id, ownerId, x, y, dx, dy, weapon = DEFAULT_WEAPON, stats = WEAPONS[weapon]) {
     this.id = id;
     this.ownerId = ownerId;
+    this.weapon = weapon;
     this.x = x;
     this.y = y;
-    this.dx = dx * BULLET_SPEED;  // velocity x per tick
-    this.dy = dy * BULLET_SPEED;  // velocity y per tick
-    this.damage = BULLET_DAMAGE;
+    this.dx = dx * stats.speed;   // velocity x per tick
+    this.dy = dy * stats.speed;   // velocity y per tick
+    this.damage = stats.damage;
     this.alive = true;
     this.ticksLived = 0;
-    this.maxLifetime = BULLET_MAX_LIFETIME_TICKS;
+    this.maxLifetime = stats.lifetime;
     this.size = BULLET_SIZE;          // collision radius
   }
 
@@ -37,6 +43,7 @@ class Projectile {
       y: this.y,
       dx: this.dx,
       dy: this.dy,
+      weapon: this.weapon,
       alive: this.alive,
     };
   }
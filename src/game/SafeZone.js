@@ -0,0 +1,140 @@
+const SeededRandom = require('./SeededRandom');
+const { DEFAULT_ZONE_PHASES, ZONE_MAX_PHASES } = require('./constants');
+
+/**
+ * Battle royale safe zone: a circle that starts around the whole arena and
+ * closes in phase by phase. Each phase waits `delay` ticks, then shrinks over
+ * `shrink` ticks to `size` × the starting radius, drifting its centre as it
+ * goes. Players outside take the phase's `damage` hp every tick; once the
+ * last phase ends the zone stays at its final size.
+ *
+ * Every circle is picked up front from its own seeded generator, so the zone
+ * at any tick is a pure function of (circles, phases, tick) — viewers can
+ * replay it from the recording without re-running the battle.
+ */
+class SafeZone {
+  constructor(arena, { phases = DEFAULT_ZONE_PHASES, seed } = {}) {
+    this.phases = phases.map(p => ({ ...p }));
+    this.circles = SafeZone.plan(arena, this.phases, new SeededRandom(seed != null ? seed : SeededRandom.randomSeed()));
+    this.update(0);
+  }
+
+  /**
+   * Check a phase list from config or POST /start. Returns an error message,
+   * or null when valid.
+   */
+  static validatePhases(phases) {
+    if (!Array.isArray(phases) || phases.length === 0 || phases.length > ZONE_MAX_PHASES) {
+      return `zone phases must be a list of 1 to ${ZONE_MAX_PHASES} phases`;
+    }
+    let previous = 1;
+    for (const [i, p] of phases.entries()) {
+      if (!p || typeof p !== 'object') return `zone phase ${i + 1} must be an object`;
+      for (const key of ['delay', 'shrink', 'damage']) {
+        if (!Number.isInteger(p[key]) || p[key] < 0) return `zone phase ${i + 1}: ${key} must be a non-negative integer`;
+      }
+      if (typeof p.size !== 'number' || !(p.size >= 0 && p.size <= previous)) {
+        return `zone phase ${i + 1}: size must be a number from 0 to ${previous} (no bigger than the phase before)`;
+      }
+      previous = p.size;
+    }
+    return null;
+  }
+
+  /**
+   * circles[0] covers the whole arena; circles[i + 1] is where phase i ends.
+   * Each next circle lies inside the one before, pulled back onto the map
+   * where it would hang over an edge.
+   */
+  static plan(arena, phases, rng) {
+    const start = { x: arena.width / 2, y: arena.height / 2, radius: round(Math.hypot(arena.width, arena.height) / 2) };
+    const circles = [start];
+    for (const phase of phases) {
+      const prev = circles[circles.length - 1];
+      const radius = start.radius * phase.size;
+      const slack = prev.radius - radius;
+      const angle = rng.next() * Math.PI * 2;
+      const dist = rng.next() * slack;
+      // Keep the circle on the map where it fits, else centred on that axis
+      const inset = size => Math.min(radius, size / 2);
+      circles.push({
+        x: round(clamp(prev.x + Math.cos(angle) * dist, inset(arena.width), arena.width - inset(arena.width))),
+        y: round(clamp(prev.y + Math.sin(angle) * dist, inset(arena.height), arena.height - inset(arena.height))),
+        radius: round(radius),
+      });
+    }
+    return circles;
+  }
+
+  /** Zone state at `tick` (ticks since the battle started). See SafeZone.stateAt. */
+  update(tick) {
+    this.tick = tick;
+    Object.assign(this, SafeZone.stateAt(this.circles, this.phases, tick));
+  }
+
+  /**
+   * { x, y, radius, next, phase, shrinking, damage, ticksLeft } at `tick`.
+   * `next` is the circle the zone is closing to (null after the last phase);
+   * ticksLeft counts down to the next shrink starting or stopping.
+   */
+  static stateAt(circles, phases, tick) {
+    let t = tick;
+    for (let i = 0; i < phases.length; i++) {
+      const { delay, shrink, damage } = phases[i];
+      const from = circles[i];
+      const to = circles[i + 1];
+      if (t < delay) {
+        return { ...pick(from), next: to, phase: i + 1, shrinking: false, damage, ticksLeft: delay - t };
+      }
+      t -= delay;
+      if (t < shrink) {
+        const k = t / shrink;
+        return {
+          x: round(from.x + (to.x - from.x) * k),
+          y: round(from.y + (to.y - from.y) * k),
+          radius: round(from.radius + (to.radius - from.radius) * k),
+          next: to,
+          phase: i + 1,
+          shrinking: true,
+          damage,
+          ticksLeft: shrink - t,
+        };
+      }
+      t -= shrink;
+    }
+    const last = phases[phases.length - 1];
+    return { ...pick(circles[circles.length - 1]), next: null, phase: phases.length, shrinking: false, damage: last.damage, ticksLeft: null };
+  }
+
+  contains(x, y, margin = 0) {
+    return Math.hypot(x - this.x, y - this.y) <= this.radius - margin;
+  }
+
+  toJSON() {
+    return {
+      x: this.x,
+      y: this.y,
+      radius: this.radius,
+      next: this.next,
+      phase: this.phase,
+      phases: this.phases.length,
+      shrinking: this.shrinking,
+      damage: this.damage,
+      ticksLeft: this.ticksLeft,
+    };
+  }
+}
+
+function pick(c) {
+  return { x: c.x, y: c.y, radius: c.radius };
+}
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+module.exports = SafeZone;
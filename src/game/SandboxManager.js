@@ -6,18 +6,28 @@ const GameEngine = require('./GameEngine');
  * positions, bullets, or strategies until the battle starts.
  */
 class SandboxManager {
-  constructor() {
+  /**
+   * engineOptions are passed to every sandbox GameEngine (e.g. fogOfWar).
+   */
+  constructor(engineOptions = {}) {
+    this.engineOptions = engineOptions;
     this.sandboxes = new Map(); // playerId → GameEngine
   }
 
   /**
    * Create a sandbox for a new player. Returns the player object (with id)
    * or an error if the username is taken in the global registry.
+   * options.seed makes the sandbox reproducible (see GameEngine); options.map
+   * is the map definition to practise on and options.rules a validated ruleset
+   * (see rules.js). options.id and options.color rebuild a saved player's
+   * sandbox at boot.
    */
-  createForPlayer(username) {
-    const engine = new GameEngine();
+  createForPlayer(username, options = {}) {
+    const engine = new GameEngine({
+      ...this.engineOptions, seed: options.seed, map: options.map, rules: options.rules,
+    });
     engine.isSandbox = true;
-    const result = engine.registerPlayer(username);
+    const result = engine.registerPlayer(username, options.id, options.color);
     if (result.error) return { error: result.error };
 
     const { player } = result;
@@ -34,6 +44,13 @@ class SandboxManager {
     return this.sandboxes.has(playerId);
   }
 
+  /** What a sandbox needs to be rebuilt after a restart: { seed, map, rules }. */
+  settingsOf(playerId) {
+    const engine = this.sandboxes.get(playerId);
+    if (!engine) return null;
+    return { seed: engine.seed, map: engine.arena.map, rules: engine.rules };
+  }
+
   remove(playerId) {
     const engine = this.sandboxes.get(playerId);
     if (engine) engine._stopTickLoop();
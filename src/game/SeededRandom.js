@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+/**
+ * Small deterministic PRNG (mulberry32) used for every random choice inside a
+ * GameEngine — spawn points, colours, projectile ids. Two engines built with
+ * the same seed and fed the same actions produce identical battles.
+ *
+ * Seeds may be 32-bit unsigned integers (used as they are) or short strings,
+ * which are hashed (FNV-1a).
+ */
+class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.seed = seed;
+    this._state = SeededRandom.hashSeed(seed);
+  }
+
+  static randomSeed() {
+    return crypto.randomBytes(4).readUInt32BE(0);
+  }
+
+  static isValidSeed(seed) {
+    if (typeof seed === 'number') return Number.isInteger(seed) && seed >= 0 && seed <= SeededRandom.MAX_SEED;
+    return typeof seed === 'string' && seed.length > 0 && seed.length <= 64;
+  }
+
+  static hashSeed(seed) {
+    if (typeof seed === 'number') return seed >>> 0;
+    let h = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      h ^= seed.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  /** Float in [0, 1) — drop-in for Math.random(). */
+  next() {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** Integer in [0, max). */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+
+  /** Lowercase hex string, e.g. for entity ids. */
+  hex(length = 8) {
+    let out = '';
+    while (out.length < length) out += this.int(16).toString(16);
+    return out;
+  }
+}
+
+// Numeric seeds are the PRNG state itself, so larger ones would collide
+SeededRandom.MAX_SEED = 0xffffffff;
+
+module.exports = SeededRandom;
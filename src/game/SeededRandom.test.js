@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SeededRandom = require('./SeededRandom');
+
+test('the same seed gives the same sequence', () => {
+  const a = new SeededRandom(42);
+  const b = new SeededRandom(42);
+  assert.deepEqual([a.next(), a.next(), a.hex()], [b.next(), b.next(), b.hex()]);
+  assert.notEqual(new SeededRandom('42').next(), new SeededRandom(42).next());
+});
+
+test('numeric seeds are limited to 32 bits, so no two valid seeds collide', () => {
+  assert.equal(SeededRandom.isValidSeed(0), true);
+  assert.equal(SeededRandom.isValidSeed(SeededRandom.MAX_SEED), true);
+  assert.equal(SeededRandom.isValidSeed(SeededRandom.MAX_SEED + 1), false);
+  assert.equal(SeededRandom.isValidSeed(-1), false);
+  assert.equal(SeededRandom.isValidSeed(1.5), false);
+  assert.equal(SeededRandom.isValidSeed('x'.repeat(64)), true);
+  assert.equal(SeededRandom.isValidSeed('x'.repeat(65)), false);
+});
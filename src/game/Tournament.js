@@ -0,0 +1,318 @@
+const { v4: uuidv4 } = require('uuid');
+const C = require('./constants');
+const SeededRandom = require('./SeededRandom');
+
+/**
+ * A tournament of 1v1 matches, each played as its own battle between just the
+ * two scheduled players. This class only keeps the bracket; Room.js starts
+ * the battles and reports their winners through recordResult().
+ *
+ * Brackets:
+ *   single       single elimination
+ *   double       double elimination — losers drop into a losers bracket whose
+ *                champion meets the winners-bracket champion in a grand final,
+ *                replayed once if the losers-bracket champion wins it
+ *   round_robin  everyone plays everyone once: 3 points a win, 1 a draw
+ *
+ * Entrants are seeded 1..n, in the given order or shuffled from `seed`. In
+ * elimination brackets the top seeds get the byes when n is not a power of
+ * two, and a drawn match goes to the better seed.
+ *
+ * Every match has two slots, each either a seeded player ({ player }, null for
+ * a bye) or the winner/loser of an earlier match ({ from, take }). A match is
+ * `pending` until both are known, then `ready`, `running` and `done`. A side
+ * left empty by a bye, or a player who withdrew, decides it without a battle.
+ */
+class Tournament {
+  /**
+   * entrants: [{ id, username }].
+   * options: { bracket, seeding = 'random', seed } — see C.TOURNAMENT_BRACKETS and C.TOURNAMENT_SEEDINGS.
+   * Throws on any other bracket or seeding; POST /tournament validates them first.
+   */
+  constructor(entrants, options = {}) {
+    const seeding = options.seeding || 'random';
+    if (!C.TOURNAMENT_BRACKETS.includes(options.bracket)) throw new Error(`Unknown bracket: ${options.bracket}`);
+    if (!C.TOURNAMENT_SEEDINGS.includes(seeding)) throw new Error(`Unknown seeding: ${seeding}`);
+
+    this.id = 't_' + uuidv4().slice(0, 8);
+    this.bracket = options.bracket;
+    this.seeding = seeding;
+    this.seed = options.seed != null ? options.seed : SeededRandom.randomSeed();
+    this.status = 'running';     // running | finished
+    this.champion = null;        // player id once finished (null if nobody was left)
+    this.currentMatch = null;    // id of the match being played
+    this.createdAt = new Date().toISOString();
+
+    const order = entrants.slice();
+    if (seeding === 'random') {
+      const rng = new SeededRandom(`${this.seed}:seeding`);
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = rng.int(i + 1);
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    }
+    this.players = order.map((e, i) => ({ id: e.id, username: e.username, seed: i + 1, withdrawn: false }));
+
+    this.matches = [];
+    this._final = null;          // the match whose winner takes an elimination bracket
+    if (this.bracket === 'round_robin') this._buildRoundRobin();
+    else this._buildElimination(this.bracket === 'double');
+    this._resolve();
+  }
+
+  // ── Building ───────────────────────────────────
+
+  _addMatch(bracket, round, slots) {
+    const match = {
+      id: `m${this.matches.length + 1}`,
+      bracket,                   // winners | losers | grand_final | round_robin
+      round,
+      slots,
+      players: [null, null],
+      status: 'pending',
+      winner: null,
+      loser: null,
+      draw: false,
+      bye: false,
+      walkover: false,
+      replayId: null,
+    };
+    this.matches.push(match);
+    return match;
+  }
+
+  /** Pair up slots into one round of matches; returns the slots their winners fill. */
+  _pairUp(slots, bracket, round) {
+    const winners = [];
+    for (let i = 0; i < slots.length; i += 2) {
+      const match = this._addMatch(bracket, round, [slots[i], slots[i + 1]]);
+      winners.push({ from: match.id, take: 'winner' });
+    }
+    return winners;
+  }
+
+  /**
+   * Winners bracket round by round; in double elimination each round's
+   * losers feed the losers bracket as it goes, so matches are listed (and
+   * played) in a sensible order.
+   */
+  _buildElimination(double) {
+    const size = 2 ** Math.ceil(Math.log2(this.players.length));
+    const rounds = Math.log2(size);
+    let upper = bracketOrder(size).map(seed => ({
+      player: seed <= this.players.length ? this.players[seed - 1].id : null,
+    }));
+    let lower = [];
+    let lowerRound = 1;
+
+    for (let r = 1; r <= rounds; r++) {
+      const first = this.matches.length;
+      upper = this._pairUp(upper, 'winners', r);
+      if (!double) continue;
+
+      const dropped = this.matches.slice(first).map(m => ({ from: m.id, take: 'loser' }));
+      if (r === 1) {
+        lower = rounds > 1 ? this._pairUp(dropped, 'losers', lowerRound++) : dropped;
+        continue;
+      }
+      // Survivors meet this round's losers, crossed over to put off rematches
+      dropped.reverse();
+      lower = this._pairUp(lower.flatMap((slot, i) => [slot, dropped[i]]), 'losers', lowerRound++);
+      if (r < rounds) lower = this._pairUp(lower, 'losers', lowerRound++);
+    }
+
+    if (double) {
+      this._final = this._addMatch('grand_final', 1, [upper[0], lower[0]]);
+    } else {
+      this._final = this.matches[this.matches.length - 1];
+    }
+  }
+
+  /** Circle method: n - 1 rounds (n rounded up to even), one bye a round when n is odd. */
+  _buildRoundRobin() {
+    const ids = this.players.map(p => p.id);
+    if (ids.length % 2) ids.push(null);
+    const n = ids.length;
+    for (let r = 1; r < n; r++) {
+      for (let i = 0; i < n / 2; i++) {
+        const [a, b] = [ids[i], ids[n - 1 - i]];
+        if (a && b) this._addMatch('round_robin', r, [{ player: a }, { player: b }]);
+      }
+      ids.splice(1, 0, ids.pop()); // the first stays put, the rest rotate
+    }
+  }
+
+  // ── Progress ───────────────────────────────────
+
+  getMatch(id) {
+    return this.matches.find(m => m.id === id) || null;
+  }
+
+  getPlayer(id) {
+    return this.players.find(p => p.id === id) || null;
+  }
+
+  /** The next match to play, in bracket order, or null. */
+  nextMatch() {
+    return this.matches.find(m => m.status === 'ready') || null;
+  }
+
+  startMatch(id) {
+    const match = this.getMatch(id);
+    if (!match || match.status !== 'ready') return { error: `Match ${id} is not ready` };
+    match.status = 'running';
+    this.currentMatch = id;
+    return { success: true };
+  }
+
+  /** Put the running match back to `ready`, e.g. after its battle was reset. */
+  abortMatch() {
+    const match = this.getMatch(this.currentMatch);
+    if (match) match.status = 'ready';
+    this.currentMatch = null;
+  }
+
+  /**
+   * Report the running match's result. winnerId null (or not one of the two)
+   * is a draw; `replayId` links the battle's recording.
+   */
+  recordResult(winnerId, replayId = null) {
+    const match = this.getMatch(this.currentMatch);
+    if (!match) return { error: 'No match is running' };
+    this.currentMatch = null;
+    match.replayId = replayId;
+
+    let winner = match.players.includes(winnerId) ? winnerId : null;
+    if (winner === null) {
+      match.draw = true;
+      if (this.bracket !== 'round_robin') {
+        const [a, b] = match.players.map(id => this.getPlayer(id));
+        winner = a.seed < b.seed ? a.id : b.id;
+      }
+    }
+    this._decide(match, winner);
+    this._resolve();
+    return { success: true, match };
+  }
+
+  /**
+   * Take a player out: every match they have left, including a running one,
+   * goes to their opponent.
+   */
+  withdraw(playerId) {
+    const player = this.getPlayer(playerId);
+    if (!player || player.withdrawn) return;
+    player.withdrawn = true;
+    for (const match of this.matches) {
+      if (!['ready', 'running'].includes(match.status) || !match.players.includes(playerId)) continue;
+      if (match.id === this.currentMatch) this.currentMatch = null;
+      const other = match.players.find(id => id !== playerId);
+      this._decide(match, other && !this.getPlayer(other).withdrawn ? other : null, { walkover: true });
+    }
+    this._resolve();
+  }
+
+  _decide(match, winner, flags = {}) {
+    Object.assign(match, flags);
+    match.status = 'done';
+    match.winner = winner;
+    match.loser = match.players.find(id => id && id !== winner) || null;
+
+    // Double elimination: a losers-bracket champion who wins the grand final forces a rematch
+    if (match === this._final && match.bracket === 'grand_final' && match.round === 1 &&
+        winner !== null && winner === match.players[1] && match.players[0] !== null) {
+      this._final = this._addMatch('grand_final', 2, [{ player: match.players[0] }, { player: match.players[1] }]);
+    }
+  }
+
+  /** Fill in every slot that can be known now, settle byes and walkovers, and check for a champion. */
+  _resolve() {
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const match of this.matches) {
+        if (match.status !== 'pending') continue;
+        const players = match.slots.map(slot => this._slotPlayer(slot));
+        if (players.includes(undefined)) continue;
+
+        match.players = players;
+        match.status = 'ready';
+        changed = true;
+        const present = players.filter(id => id && !this.getPlayer(id).withdrawn);
+        if (present.length < 2) {
+          this._decide(match, present[0] || null, players.every(Boolean) ? { walkover: true } : { bye: true });
+        }
+      }
+    }
+
+    if (this.matches.every(m => m.status === 'done')) {
+      this.status = 'finished';
+      this.champion = this.bracket === 'round_robin'
+        ? (this.standings()[0] || {}).id || null
+        : this._final.winner;
+    }
+  }
+
+  /** A slot's player id, null for an empty side, undefined while still unknown. */
+  _slotPlayer(slot) {
+    if ('player' in slot) return slot.player;
+    const source = this.getMatch(slot.from);
+    return source.status === 'done' ? source[slot.take] : undefined;
+  }
+
+  /** Round robin table: points, then wins, then seed. Byes are not counted. */
+  standings() {
+    const rows = new Map(this.players.map(p => [p.id, {
+      id: p.id, username: p.username, seed: p.seed, played: 0, wins: 0, draws: 0, losses: 0, points: 0,
+    }]));
+    for (const match of this.matches) {
+      if (match.status !== 'done' || match.bye) continue;
+      for (const id of match.players) {
+        const row = rows.get(id);
+        row.played++;
+        if (match.winner === id) { row.wins++; row.points += 3; }
+        else if (match.winner === null) { row.draws++; row.points += 1; }
+        else row.losses++;
+      }
+    }
+    return [...rows.values()].sort((a, b) => (b.points - a.points) || (b.wins - a.wins) || (a.seed - b.seed));
+  }
+
+  toJSON() {
+    const next = this.nextMatch();
+    const json = {
+      id: this.id,
+      bracket: this.bracket,
+      seeding: this.seeding,
+      seed: this.seed,
+      status: this.status,
+      champion: this.champion ? this.getPlayer(this.champion) : null,
+      currentMatch: this.currentMatch,
+      nextMatch: this.currentMatch || !next ? null : next.id,
+      createdAt: this.createdAt,
+      players: this.players.map(p => ({ ...p })),
+      matches: this.matches.map(({ slots, ...m }) => ({
+        ...m,
+        players: m.players.slice(),
+        sources: slots.map(s => ('from' in s ? { match: s.from, take: s.take } : null)),
+      })),
+    };
+    if (this.bracket === 'round_robin') json.standings = this.standings();
+    return json;
+  }
+}
+
+/**
+ * Seeds in bracket position order for a power-of-two bracket, so 1 and 2 can
+ * only meet in the final: 4 → [1, 4, 2, 3], 8 → [1, 8, 4, 5, 2, 7, 3, 6].
+ */
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, n - seed]);
+  }
+  return order;
+}
+
+module.exports = Tournament;
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Tournament = require('./Tournament');
+
+const entrants = n => Array.from({ length: n }, (_, i) => ({ id: `p${i + 1}`, username: `P${i + 1}` }));
+
+/** Play every match out, the better seed (or `winner(match)`) winning. */
+function playOut(tournament, winner = null) {
+  for (let match = tournament.nextMatch(); match; match = tournament.nextMatch()) {
+    tournament.startMatch(match.id);
+    const [a, b] = match.players.map(id => tournament.getPlayer(id));
+    tournament.recordResult(winner ? winner(match) : (a.seed < b.seed ? a.id : b.id));
+  }
+}
+
+test('single elimination seeds 1 and 2 apart and gives the top seeds the byes', () => {
+  const t = new Tournament(entrants(6), { bracket: 'single', seeding: 'order' });
+  const first = t.matches.filter(m => m.round === 1);
+  assert.deepEqual(first.map(m => m.players), [['p1', null], ['p4', 'p5'], ['p2', null], ['p3', 'p6']]);
+  assert.deepEqual(first.filter(m => m.bye).map(m => m.winner), ['p1', 'p2']);
+  assert.equal(t.matches.length, 7);
+
+  playOut(t);
+  assert.equal(t.status, 'finished');
+  assert.equal(t.champion, 'p1');
+  assert.deepEqual(t.matches[t.matches.length - 1].players, ['p1', 'p2']);
+});
+
+test('random seeding is reproducible from the seed', () => {
+  const a = new Tournament(entrants(8), { bracket: 'single', seed: 42 });
+  const b = new Tournament(entrants(8), { bracket: 'single', seed: 42 });
+  assert.deepEqual(a.players, b.players);
+  assert.notDeepEqual(a.players.map(p => p.id), entrants(8).map(e => e.id));
+});
+
+test('double elimination sends losers down and replays the grand final once', () => {
+  const t = new Tournament(entrants(4), { bracket: 'double', seeding: 'order' });
+  assert.deepEqual(t.matches.map(m => m.bracket), ['winners', 'winners', 'losers', 'winners', 'losers', 'grand_final']);
+
+  // p2 loses its first match, then wins everything including both grand finals
+  playOut(t, match => (match.players.includes('p2') && match.bracket !== 'winners' ? 'p2'
+    : match.players.includes('p1') ? 'p1' : match.players[0]));
+  const finals = t.matches.filter(m => m.bracket === 'grand_final');
+  assert.deepEqual(finals.map(m => [m.round, m.winner]), [[1, 'p2'], [2, 'p2']]);
+  assert.equal(t.champion, 'p2');
+});
+
+test('round robin pairs everyone once and ranks by points', () => {
+  const t = new Tournament(entrants(5), { bracket: 'round_robin', seeding: 'order' });
+  const pairs = t.matches.map(m => m.players.slice().sort().join('-'));
+  assert.equal(pairs.length, 10);
+  assert.equal(new Set(pairs).size, 10);
+  assert.equal(Math.max(...t.matches.map(m => m.round)), 5);
+
+  playOut(t, match => (match.players.includes('p3') ? null : match.players[0]));
+  const table = t.standings();
+  assert.equal(t.status, 'finished');
+  assert.equal(table.find(r => r.id === 'p3').draws, 4);
+  assert.equal(t.champion, table[0].id);
+  assert.ok(table.every((row, i) => i === 0 || row.points <= table[i - 1].points));
+});
+
+test('an unknown bracket or seeding is rejected', () => {
+  assert.throws(() => new Tournament(entrants(4), { bracket: 'single', seeding: 'ordered' }), /Unknown seeding: ordered/);
+  assert.throws(() => new Tournament(entrants(4), { bracket: 'swiss' }), /Unknown bracket: swiss/);
+});
+
+test('a withdrawn player loses their remaining matches by walkover', () => {
+  const t = new Tournament(entrants(4), { bracket: 'single', seeding: 'order' });
+  t.withdraw('p4');
+  const match = t.matches.find(m => m.players.includes('p4'));
+  assert.equal(match.walkover, true);
+  assert.equal(match.winner, 'p1');
+});
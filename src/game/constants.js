@@ -3,9 +3,9 @@
 // ──────────────────────────────────────────────
 
 module.exports = {
-  // Arena
-  ARENA_WIDTH: 40,
-  ARENA_HEIGHT: 30,
+  // Arena — size comes from the map file; these bound what a map may declare
+  MAP_MIN_SIZE: 10,
+  MAP_MAX_SIZE: 200,
 
   // Tick
   TICK_RATE: 20,                 // ticks per second
@@ -25,9 +25,20 @@ module.exports = {
   BULLET_MAX_LIFETIME_TICKS: 50, // 2.5 seconds at 20 TPS
   MAX_BULLETS_PER_PLAYER: 5,
 
-  // Reload
-  RELOAD_AMOUNT: 5,              // full reload
-  RELOAD_COOLDOWN_TICKS: 10,     // 0.5s cooldown
+  // Reload — always refills the magazine
+  RELOAD_COOLDOWN_TICKS: 10,     // 0.5s cooldown (pistol; see weapons.js)
+  WEAPON_SWITCH_TICKS: 5,        // the new weapon cannot fire for 0.25s
+
+  // Abilities — each with its own cooldown, counted from when it is used
+  SHIELD_TICKS: 20,              // shield stays up for 1 second
+  SHIELD_COOLDOWN_TICKS: 100,    // 5 seconds
+  SHIELD_DAMAGE_MULTIPLIER: 0.25, // bullets hitting a shield deal a quarter of their damage
+  DASH_DISTANCE: 3,              // units, stopping short of walls and players
+  DASH_COOLDOWN_TICKS: 60,       // 3 seconds
+
+  // Visibility
+  VIEW_RANGE: 12,                // units a player can see in any direction
+  FOG_MEMORY_TICKS: 60,          // fog of war: keep last-known enemy positions for 3s
 
   // Rate limiting
   MAX_ACTIONS_PER_SECOND: 30,
@@ -35,6 +46,17 @@ module.exports = {
   // Battle
   MAX_BATTLE_DURATION_TICKS: 12000, // 10 minutes at 20 TPS
 
+  // Action queue — one slot per category, processed in this order each tick
+  ACTION_CATEGORIES: {
+    move:          'move',
+    dash:          'move',
+    shield:        'ability',
+    switch_weapon: 'weapon',
+    shoot:         'combat',
+    reload:        'combat',
+  },
+  ACTION_CATEGORY_ORDER: ['move', 'ability', 'weapon', 'combat'],
+
   // Directions map
   DIRECTIONS: {
     up:    { x:  0, y: -1 },
@@ -43,7 +65,90 @@ module.exports = {
     right: { x:  1, y:  0 },
   },
 
-  // Game modes
+  // Teams — red spawns on the left third of the arena, blue on the right
+  TEAMS: ['red', 'blue'],
+  TEAM_COLORS: { red: '#e74c3c', blue: '#3498db' },
+  TEAM_FORMATS: {                // players per team; 0 = any, null = free-for-all
+    ffa: null,
+    teams: 0,
+    '2v2': 2,
+    '3v3': 3,
+  },
+
+  // Respawn modes (see modes/) — fallen players return after RESPAWN_TICKS at the
+  // safest spawn point, and bullets cannot hurt them for SPAWN_PROTECTION_TICKS
+  // (or until they fire)
+  RESPAWN_TICKS: 60,             // 3 seconds
+  MAX_RESPAWN_TICKS: 600,        // longest respawnDelay /start accepts
+  SPAWN_PROTECTION_TICKS: 40,    // 2 seconds
+  SAFE_SPAWN_CANDIDATES: 8,      // spawn spots compared when picking the safest
+  DEATHMATCH_SCORE_LIMIT: 20,    // kills
+  FLAG_TOUCH_RADIUS: 1.2,        // pick up / return / capture distance
+  FLAG_RETURN_TICKS: 300,        // a dropped flag goes home after 15 seconds
+  CTF_CAPTURE_LIMIT: 3,
+  HILL_RADIUS: 4,
+  KOTH_SCORE_LIMIT: 1200,        // points, one per tick of sole control (60 seconds)
+
+  // Battle royale safe zone (see SafeZone). Per phase: wait `delay` ticks, shrink
+  // over `shrink` ticks to `size` × the starting radius; `damage` hp per tick outside.
+  DEFAULT_ZONE_PHASES: [
+    { delay: 600, shrink: 400, size: 0.6,  damage: 1 },
+    { delay: 400, shrink: 300, size: 0.35, damage: 1 },
+    { delay: 300, shrink: 300, size: 0.15, damage: 2 },
+    { delay: 200, shrink: 200, size: 0,    damage: 4 },
+  ],
+  ZONE_MAX_PHASES: 10,
+
+  // Pickups — collected by touching them, back PICKUP_RESPAWN_TICKS later. Maps
+  // may place their own; otherwise one of each type lands at a random free spot.
+  PICKUP_TYPES: ['health', 'ammo', 'speed', 'damage'],
+  PICKUP_SIZE: 0.5,              // collision radius
+  PICKUP_RESPAWN_TICKS: 400,     // 20 seconds
+  MAX_MAP_PICKUPS: 32,
+  HEALTH_PACK_HP: 40,
+  BUFF_TICKS: 200,               // speed / damage buffs last 10 seconds
+  SPEED_BUFF_MULTIPLIER: 1.5,
+  DAMAGE_BUFF_MULTIPLIER: 2,
+
+  // Tournaments — 1v1 matches played one battle at a time (see Tournament.js)
+  TOURNAMENT_BRACKETS: ['single', 'double', 'round_robin'],
+  TOURNAMENT_SEEDINGS: ['random', 'order'],
+  TOURNAMENT_MIN_PLAYERS: 2,
+  TOURNAMENT_MAX_PLAYERS: 32,
+  TOURNAMENT_INTERMISSION_MS: 8000, // result screen before the next match starts
+
+  // Ratings — Elo from every finished battle's placements (see ratings.js)
+  RATING_INITIAL: 1200,
+  RATING_K: 32,                  // most a rating can move in one battle
+  RATING_HISTORY: 20,            // recent battles kept per player
+  LEADERBOARD_DEFAULT_LIMIT: 20,
+  LEADERBOARD_MAX_LIMIT: 100,
+
+  // Rooms — each has its own lobby, battle and tournament (see rooms/)
+  DEFAULT_ROOM: 'main',          // where players land unless they pick a room
+  MAX_ROOMS: 20,
+  ROOM_NAME_MAX_LENGTH: 32,
+
+  // Matchmaking — queued players grouped into matches of the size they chose (see Matchmaker.js)
+  MATCHMAKING_MIN_SIZE: 2,
+  MATCHMAKING_MAX_SIZE: 8,
+  MATCHMAKING_DEFAULT_SIZE: 2,
+  MATCHMAKING_COUNTDOWN_MS: 10000, // from the match forming to its battle starting
+  MATCHMAKING_RESULT_MS: 8000,   // result screen before everyone goes back to their sandbox
+  MATCHMAKING_INTERVAL_MS: 1000, // how often the queue is checked again
+  MATCHMAKING_RATING_SPREAD: 100, // ranked: rating gap accepted at first…
+  MATCHMAKING_SPREAD_GROWTH: 10, // …and how much it widens per second waited
+  MATCHMAKING_WAIT_HISTORY: 20,  // recent waits averaged for the estimate
+
+  // WebSocket — protocol 2 sends deltas between snapshots (see delta.js)
+  WS_PROTOCOLS: [1, 2],
+  WS_KEYFRAME_INTERVAL: 100,     // frames between snapshots (5 seconds of battle)
+
+  // Persistence
+  MAX_REPLAYS: 500,              // recordings kept on disk; the oldest are deleted beyond this
+  REGISTRY_SNAPSHOT_MS: 2000,    // how often the registry is checked for changes and saved
+
+  // Engine modes
   MODE_TEST: 'test',
   MODE_BATTLE: 'battle',
   MODE_LOBBY: 'lobby',
@@ -52,4 +157,7 @@ module.exports = {
   // Obstacle types
   OBSTACLE_WALL: 'wall',
   OBSTACLE_CRATE: 'crate',
+
+  // Crates absorb bullets until they break; walls are permanent
+  CRATE_HP: 75,                  // 3 bullets (maps may set "hp" per crate)
 };
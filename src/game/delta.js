@@ -0,0 +1,139 @@
+/**
+ * State deltas for WebSocket protocol 2 (see docs/API.md §9). A client is sent
+ * a full snapshot, then per-frame deltas against the last state it was sent:
+ *
+ *   set        top-level fields that changed, sent whole
+ *   patch      changed fields of top-level objects (self, zone, teams, …)
+ *   unset      top-level fields that are gone
+ *   lists      entity lists keyed by id — { add: [entity], remove: [id], change: [{ id, ...changed fields }],
+ *              order: [id] } (order only when the list is not "kept ones in place, added ones last")
+ *   obstacles  [[index, obstacle]] for crates that took damage or broke
+ *
+ * An empty delta means nothing changed. States must be plain JSON data: values
+ * are compared by their JSON. The browser pages load this file too, as
+ * /js/delta.js (see server.js), so it must not require anything.
+ */
+
+// Arrays of { id, … } diffed entity by entity rather than sent whole
+const ENTITY_LISTS = ['players', 'projectiles', 'nearbyPlayers', 'nearbyProjectiles', 'teammates', 'lastKnown', 'pickups'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function same(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** The fields of `next` that differ from `prev`, or null when one was dropped (send it whole instead). */
+function fieldPatch(prev, next) {
+  for (const key of Object.keys(prev)) if (!(key in next)) return null;
+  const patch = {};
+  for (const [key, value] of Object.entries(next)) if (!same(prev[key], value)) patch[key] = value;
+  return patch;
+}
+
+function listDelta(prev, next) {
+  const before = new Map(prev.map(entity => [entity.id, entity]));
+  const ids = new Set(next.map(entity => entity.id));
+  const add = [];
+  const remove = prev.filter(entity => !ids.has(entity.id)).map(entity => entity.id);
+  const change = [];
+  for (const entity of next) {
+    const old = before.get(entity.id);
+    const patch = old && fieldPatch(old, entity);
+    if (!patch) {
+      if (old) remove.push(entity.id);
+      add.push(entity);
+    } else if (Object.keys(patch).length > 0) {
+      change.push({ id: entity.id, ...patch });
+    }
+  }
+  const diff = {};
+  if (add.length) diff.add = add;
+  if (remove.length) diff.remove = remove;
+  if (change.length) diff.change = change;
+  // Lists such as nearbyPlayers are sorted (closest first), so their order can change on its own
+  const removed = new Set(remove);
+  const kept = prev.filter(entity => !removed.has(entity.id)).map(entity => entity.id);
+  const order = next.map(entity => entity.id);
+  if (!same(kept.concat(add.map(entity => entity.id)), order)) diff.order = order;
+  return Object.keys(diff).length ? diff : null;
+}
+
+/** [[index, obstacle]] when only obstacles changed (crates), else null. */
+function obstacleDelta(prev, next) {
+  const { obstacles: before, ...restBefore } = prev;
+  const { obstacles: after, ...restAfter } = next;
+  if (!Array.isArray(before) || !Array.isArray(after) || before.length !== after.length) return null;
+  if (!same(restBefore, restAfter)) return null;
+  const changed = [];
+  after.forEach((obstacle, i) => { if (!same(before[i], obstacle)) changed.push([i, obstacle]); });
+  return changed;
+}
+
+function diffState(prev, next) {
+  const delta = {};
+  const set = {};
+  const patch = {};
+  const lists = {};
+  const unset = Object.keys(prev).filter(key => !(key in next));
+
+  for (const [key, value] of Object.entries(next)) {
+    const old = prev[key];
+    if (ENTITY_LISTS.includes(key) && Array.isArray(old) && Array.isArray(value)) {
+      const diff = listDelta(old, value);
+      if (diff) lists[key] = diff;
+      continue;
+    }
+    if (key === 'arena' && isObject(old) && isObject(value)) {
+      const changed = obstacleDelta(old, value);
+      if (changed) {
+        if (changed.length) delta.obstacles = changed;
+        continue;
+      }
+    }
+    if (same(old, value)) continue;
+    const fields = isObject(old) && isObject(value) ? fieldPatch(old, value) : null;
+    if (fields) patch[key] = fields;
+    else set[key] = value;
+  }
+
+  if (Object.keys(set).length) delta.set = set;
+  if (Object.keys(patch).length) delta.patch = patch;
+  if (unset.length) delta.unset = unset;
+  if (Object.keys(lists).length) delta.lists = lists;
+  return delta;
+}
+
+/**
+ * The state after `delta`. `state` is left untouched: changed objects and
+ * lists are copied, unchanged ones are shared.
+ */
+function applyDelta(state, delta) {
+  const next = { ...state, ...delta.set };
+  for (const key of delta.unset || []) delete next[key];
+  for (const [key, fields] of Object.entries(delta.patch || {})) next[key] = { ...next[key], ...fields };
+  for (const [key, diff] of Object.entries(delta.lists || {})) {
+    const removed = new Set(diff.remove || []);
+    const changes = new Map((diff.change || []).map(change => [change.id, change]));
+    next[key] = next[key]
+      .filter(entity => !removed.has(entity.id))
+      .map(entity => (changes.has(entity.id) ? { ...entity, ...changes.get(entity.id) } : entity))
+      .concat(diff.add || []);
+    if (diff.order) {
+      const byId = new Map(next[key].map(entity => [entity.id, entity]));
+      next[key] = diff.order.map(id => byId.get(id));
+    }
+  }
+  if (delta.obstacles) {
+    const obstacles = next.arena.obstacles.slice();
+    for (const [i, obstacle] of delta.obstacles) obstacles[i] = obstacle;
+    next.arena = { ...next.arena, obstacles };
+  }
+  return next;
+}
+
+module.exports = { ENTITY_LISTS, diffState, applyDelta };
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GameEngine = require('./GameEngine');
+const { diffState, applyDelta } = require('./delta');
+
+// Plain JSON copies, as the server sends them
+const frame = state => JSON.parse(JSON.stringify(state));
+
+/** A seeded battle with bots, advanced by hand; yields a frame per tick. */
+function* battleFrames(ticks, view) {
+  const engine = new GameEngine({ seed: 7, realtime: false, pickups: true, zone: true });
+  engine.registerPlayer('Alice', 'p_alice', '#e74c3c');
+  engine.addBot('aggressive', { id: 'bot_1', username: 'Hunter' });
+  engine.addBot('wanderer', { id: 'bot_2', username: 'Rover' });
+  engine.addBot('cover', { id: 'bot_3', username: 'Turtle' });
+  engine.startBattle();
+  for (let i = 0; i < ticks; i++) {
+    engine.step();
+    yield frame(view(engine));
+  }
+}
+
+test('applying the diff of two states gives the second state', () => {
+  const prev = {
+    mode: 'battle', tick: 1, winner: null,
+    self: { x: 1, y: 2, hp: 100 },
+    players: [{ id: 'a', x: 1 }, { id: 'b', x: 5, weapon: 'smg' }],
+    projectiles: [{ id: 'p1', x: 0 }],
+    arena: { width: 40, obstacles: [{ x: 1, hp: 75 }, { x: 2 }] },
+    lastKnown: [],
+  };
+  const next = {
+    mode: 'battle', tick: 2, winner: null,
+    self: { x: 1.5, y: 2, hp: 75 },
+    players: [{ id: 'a', x: 1.5 }, { id: 'b', x: 5 }, { id: 'c', x: 9 }],
+    projectiles: [{ id: 'p2', x: 3 }],
+    arena: { width: 40, obstacles: [{ x: 1, hp: 50 }, { x: 2 }] },
+    zone: { radius: 10 },
+  };
+  assert.deepEqual(applyDelta(prev, diffState(prev, next)), next);
+});
+
+test('a list that only changed order round-trips in the new order', () => {
+  const prev = { nearbyPlayers: [{ id: 'a', x: 1 }, { id: 'b', x: 2 }, { id: 'c', x: 3 }] };
+  const next = { nearbyPlayers: [{ id: 'c', x: 3 }, { id: 'd', x: 0 }, { id: 'a', x: 1.5 }] };
+  assert.deepEqual(applyDelta(prev, diffState(prev, next)), next);
+  assert.deepEqual(diffState(prev, { nearbyPlayers: [...prev.nearbyPlayers, { id: 'd', x: 0 }] }).lists.nearbyPlayers.order, undefined);
+});
+
+test('an unchanged state diffs to an empty delta', () => {
+  const state = { mode: 'lobby', tick: 0, players: [{ id: 'a', ready: true }], arena: null };
+  assert.deepEqual(diffState(state, frame(state)), {});
+});
+
+test('applyDelta leaves the previous state untouched', () => {
+  const prev = { tick: 1, self: { x: 1 }, players: [{ id: 'a', x: 1 }], arena: { obstacles: [{ hp: 75 }] } };
+  const before = frame(prev);
+  applyDelta(prev, diffState(prev, { tick: 2, self: { x: 2 }, players: [{ id: 'a', x: 2 }], arena: { obstacles: [{ hp: 50 }] } }));
+  assert.deepEqual(prev, before);
+});
+
+test('big screen states of a real battle round-trip tick by tick', () => {
+  let prev = null;
+  for (const next of battleFrames(200, engine => engine.getFullState())) {
+    if (prev) assert.deepEqual(applyDelta(prev, diffState(prev, next)), next, `tick ${next.tick}`);
+    prev = next;
+  }
+});
+
+test('player states of a real battle round-trip tick by tick', () => {
+  let prev = null;
+  for (const next of battleFrames(200, engine => engine.getPlayerState('p_alice'))) {
+    if (prev) assert.deepEqual(applyDelta(prev, diffState(prev, next)), next, `tick ${next.tick}`);
+    prev = next;
+  }
+});
+
+test('a delta is much smaller than the state it encodes', () => {
+  let prev = null;
+  let full = 0;
+  let sent = 0;
+  for (const next of battleFrames(100, engine => engine.getFullState())) {
+    if (prev) {
+      full += JSON.stringify(next).length;
+      sent += JSON.stringify(diffState(prev, next)).length;
+    }
+    prev = next;
+  }
+  assert.ok(sent < full / 4, `deltas ${sent} bytes vs full states ${full} bytes`);
+});
@@ -0,0 +1,158 @@
+const GameMode = require('./GameMode');
+const C = require('../constants');
+
+/**
+ * Red vs blue, each with a flag at its base. Touch the enemy flag to carry
+ * it, bring it to your own base while your flag is home to score. A carrier
+ * who falls drops the flag where they stood; a teammate touching a dropped
+ * flag sends it home, and it goes home by itself after C.FLAG_RETURN_TICKS.
+ *
+ * Fallen players respawn. First team to scoreLimit captures wins;
+ * at the time limit the team with more captures wins, a tie is a draw.
+ */
+class CaptureTheFlag extends GameMode {
+  constructor(engine, options) {
+    super(engine, options);
+    this.flags = {};   // team → { team, home: { x, y }, x, y, carrierId, droppedAt }
+    this.scores = {};  // team → captures
+  }
+
+  onStart() {
+    const { arena } = this.engine;
+    const placed = (arena.map.objectives && arena.map.objectives.flags) || {};
+    for (const team of C.TEAMS) {
+      // Bases default to the middle of each team's spawn third, nudged off obstacles
+      const preferred = placed[team] || {
+        x: team === C.TEAMS[0] ? arena.width / 6 : arena.width * 5 / 6,
+        y: arena.height / 2,
+      };
+      const home = arena.freeSpotNear(preferred.x, preferred.y);
+      this.flags[team] = { team, home, x: home.x, y: home.y, carrierId: null, droppedAt: null };
+      this.scores[team] = 0;
+    }
+  }
+
+  onTick() {
+    const { engine } = this;
+
+    for (const flag of Object.values(this.flags)) {
+      if (flag.carrierId) {
+        const carrier = engine.players.get(flag.carrierId);
+        if (carrier && carrier.alive) {
+          flag.x = carrier.x;
+          flag.y = carrier.y;
+        } else {
+          this._drop(flag, carrier); // carrier left the battle
+        }
+      } else if (flag.droppedAt != null && engine.tickCount - flag.droppedAt >= C.FLAG_RETURN_TICKS) {
+        this._sendHome(flag);
+        this._log('flag_returned', { team: flag.team, by: null });
+      }
+    }
+
+    for (const player of engine.players.values()) {
+      if (!player.alive || !player.team) continue;
+      for (const flag of Object.values(this.flags)) {
+        if (flag.carrierId || !this._touching(player, flag)) continue;
+        if (flag.team !== player.team) {
+          flag.carrierId = player.id;
+          flag.droppedAt = null;
+          this._log('flag_taken', { team: flag.team, by: player.username });
+        } else if (!this._isHome(flag)) {
+          this._sendHome(flag);
+          this._log('flag_returned', { team: flag.team, by: player.username });
+        }
+      }
+      this._tryCapture(player);
+    }
+  }
+
+  _tryCapture(player) {
+    const own = this.flags[player.team];
+    const carried = Object.values(this.flags).find(f => f.carrierId === player.id);
+    if (!carried || !this._isHome(own) || !this._touching(player, own.home)) return;
+
+    this.scores[player.team]++;
+    this._sendHome(carried);
+    this._log('flag_captured', { team: player.team, by: player.username, score: this.scores[player.team] });
+  }
+
+  onPlayerDown(victim) {
+    for (const flag of Object.values(this.flags)) {
+      if (flag.carrierId === victim.id) this._drop(flag, victim);
+    }
+  }
+
+  _drop(flag, carrier) {
+    flag.carrierId = null;
+    flag.droppedAt = this.engine.tickCount;
+    this._log('flag_dropped', { team: flag.team, by: carrier ? carrier.username : null, x: round(flag.x), y: round(flag.y) });
+  }
+
+  _sendHome(flag) {
+    flag.x = flag.home.x;
+    flag.y = flag.home.y;
+    flag.carrierId = null;
+    flag.droppedAt = null;
+  }
+
+  _isHome(flag) {
+    return !flag.carrierId && flag.x === flag.home.x && flag.y === flag.home.y;
+  }
+
+  _touching(player, point) {
+    return Math.hypot(player.x - point.x, player.y - point.y) < C.FLAG_TOUCH_RADIUS + player.size;
+  }
+
+  _log(event, fields) {
+    this.engine.battleLog.push({ tick: this.engine.tickCount, event, ...fields });
+  }
+
+  isOver() {
+    return Object.values(this.scores).some(s => s >= this.scoreLimit);
+  }
+
+  decideResult() {
+    const winningTeam = GameMode.leader(this.scores);
+    return { winner: winningTeam ? this.bestOfTeam(winningTeam) : null, winningTeam };
+  }
+
+  toJSON() {
+    if (!this.flags[C.TEAMS[0]]) return null;
+    return {
+      flags: Object.values(this.flags).map(f => ({
+        team: f.team,
+        x: round(f.x),
+        y: round(f.y),
+        home: f.home,
+        carrier: f.carrierId,
+        atHome: this._isHome(f),
+      })),
+      scores: { ...this.scores },
+      captureLimit: this.scoreLimit,
+    };
+  }
+
+  /** Carrying → run home; otherwise go for the enemy flag, or chase whoever has ours. */
+  objectiveFor(player) {
+    if (!player.team || !this.flags[player.team]) return null;
+    const enemyFlag = Object.values(this.flags).find(f => f.team !== player.team);
+    if (enemyFlag.carrierId === player.id) return this.flags[player.team].home;
+    const own = this.flags[player.team];
+    if (own.carrierId || !this._isHome(own)) return { x: own.x, y: own.y };
+    if (!enemyFlag.carrierId) return { x: enemyFlag.x, y: enemyFlag.y };
+    return null;
+  }
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+CaptureTheFlag.id = 'ctf';
+CaptureTheFlag.description = `Bring the enemy flag to your base. First to ${C.CTF_CAPTURE_LIMIT} captures wins.`;
+CaptureTheFlag.requiresTeams = true;
+CaptureTheFlag.respawns = true;
+CaptureTheFlag.defaultScoreLimit = C.CTF_CAPTURE_LIMIT;
+
+module.exports = CaptureTheFlag;
@@ -0,0 +1,58 @@
+const GameMode = require('./GameMode');
+const C = require('../constants');
+
+/**
+ * Respawn and keep fighting. Every kill scores a point for the killer (or
+ * their team); the first to scoreLimit wins. At the time limit the most
+ * kills win, fewer deaths breaking a tie; anything still level is a draw.
+ */
+class Deathmatch extends GameMode {
+  /** Kills per player, or per team in team battles. */
+  get scores() {
+    const { engine } = this;
+    const scores = {};
+    if (engine.teams) {
+      for (const team of C.TEAMS) scores[team] = 0;
+      for (const p of engine.players.values()) if (p.team) scores[p.team] += p.kills;
+    } else {
+      for (const p of engine.players.values()) scores[p.id] = p.kills;
+    }
+    return scores;
+  }
+
+  isOver() {
+    return Object.values(this.scores).some(s => s >= this.scoreLimit);
+  }
+
+  decideResult() {
+    const { engine } = this;
+    const deaths = {};
+    for (const p of engine.players.values()) {
+      const key = engine.teams ? p.team : p.id;
+      deaths[key] = (deaths[key] || 0) + p.deaths;
+    }
+    const scores = this.scores;
+    const ranked = Object.keys(scores).sort((a, b) => (scores[b] - scores[a]) || (deaths[a] - deaths[b]));
+    const [first, second] = ranked;
+    const tied = second != null && scores[first] === scores[second] && deaths[first] === deaths[second];
+    const leader = first != null && !tied ? first : null;
+
+    if (engine.teams) return { winner: leader ? this.bestOfTeam(leader) : null, winningTeam: leader };
+    return { winner: leader ? engine.players.get(leader) : null, winningTeam: null };
+  }
+
+  rankKey(player) {
+    return [player.kills, -player.deaths];
+  }
+
+  toJSON() {
+    return { scores: this.scores, scoreLimit: this.scoreLimit };
+  }
+}
+
+Deathmatch.id = 'deathmatch';
+Deathmatch.description = `Fallen players respawn. First to ${C.DEATHMATCH_SCORE_LIMIT} kills wins.`;
+Deathmatch.respawns = true;
+Deathmatch.defaultScoreLimit = C.DEATHMATCH_SCORE_LIMIT;
+
+module.exports = Deathmatch;
@@ -0,0 +1,58 @@
+const GameMode = require('./GameMode');
+const C = require('../constants');
+
+/**
+ * The original rules: no respawns, last player (or team) standing wins. At the
+ * time limit the highest hp wins, or in team battles the team ahead on
+ * players alive, then hp, then kills.
+ */
+class Elimination extends GameMode {
+  constructor(engine, options) {
+    super(engine, options);
+    this.fallen = [];      // player ids in the order they went down
+  }
+
+  onStart() {
+    this.fallen = [];
+  }
+
+  onPlayerDown(victim) {
+    if (this.engine.mode === C.MODE_BATTLE) this.fallen.push(victim.id);
+  }
+
+  isOver() {
+    const { engine } = this;
+    const alivePlayers = [...engine.players.values()].filter(p => p.alive);
+    if (engine.teams) {
+      // Last team standing
+      return new Set(alivePlayers.map(p => p.team)).size <= 1;
+    }
+    return alivePlayers.length <= 1 && engine.players.size > 1;
+  }
+
+  decideResult() {
+    const { engine } = this;
+    if (engine.teams) {
+      // The winning team's best player stands in as `winner`
+      const winningTeam = engine._leadingTeam();
+      return { winner: this.bestOfTeam(winningTeam), winningTeam };
+    }
+
+    const alivePlayers = [...engine.players.values()].filter(p => p.alive);
+    if (alivePlayers.length === 1) return { winner: alivePlayers[0], winningTeam: null };
+
+    // Highest HP wins
+    const sorted = [...engine.players.values()].sort((a, b) => b.hp - a.hp);
+    return { winner: sorted[0] || null, winningTeam: null };
+  }
+
+  /** Survivors by hp, then the fallen — the later they went down, the better. */
+  rankKey(player) {
+    return [player.alive ? 1 : 0, player.hp, this.fallen.indexOf(player.id), player.kills];
+  }
+}
+
+Elimination.id = 'elimination';
+Elimination.description = 'Last player or team standing wins. No respawns.';
+
+module.exports = Elimination;
@@ -0,0 +1,154 @@
+const C = require('../constants');
+
+/**
+ * Rules of one kind of battle. The engine owns movement, shooting and the
+ * tick loop; its GameMode decides where players spawn, whether the fallen
+ * come back, what scores, and when and how the battle is won.
+ *
+ * Hooks the engine calls, all optional to override:
+ *   onStart()                    battle begins, players already spawned
+ *   onTick()                     once per battle tick, after combat settles
+ *   onPlayerDown(victim, killer) a player was just eliminated
+ *   isOver()                     checked every tick (the time limit is the engine's)
+ *   decideResult()               → { winner, winningTeam } when the battle ends
+ *   rankKey(player)              how the non-winners place, for ratings
+ *   toJSON()                     objective state for payloads, or null
+ *   objectiveFor(player)         { x, y } a bot should head for, or null
+ */
+class GameMode {
+  /**
+   * options: { respawnDelay, scoreLimit } overriding the mode's defaults —
+   * checked beforehand with validateOptions().
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.options = options;
+  }
+
+  get id() {
+    return this.constructor.id;
+  }
+
+  /** Ticks until a fallen player returns, or null when they are out for the battle. */
+  get respawnTicks() {
+    if (!this.constructor.respawns) return null;
+    return this.options.respawnDelay != null ? this.options.respawnDelay : C.RESPAWN_TICKS;
+  }
+
+  /** Score that wins the battle outright, or null for modes without one. */
+  get scoreLimit() {
+    if (this.constructor.defaultScoreLimit == null) return null;
+    return this.options.scoreLimit != null ? this.options.scoreLimit : this.constructor.defaultScoreLimit;
+  }
+
+  /**
+   * Check per-battle options for this mode. Returns an error message, or null
+   * when valid.
+   */
+  static validateOptions({ respawnDelay, scoreLimit } = {}) {
+    if (respawnDelay != null) {
+      if (!this.respawns) return `${this.id} has no respawns`;
+      if (!Number.isInteger(respawnDelay) || respawnDelay < 0 || respawnDelay > C.MAX_RESPAWN_TICKS) {
+        return `respawnDelay must be an integer from 0 to ${C.MAX_RESPAWN_TICKS} ticks`;
+      }
+    }
+    if (scoreLimit != null) {
+      if (this.defaultScoreLimit == null) return `${this.id} has no score limit`;
+      if (!Number.isInteger(scoreLimit) || scoreLimit < 1) return 'scoreLimit must be a positive integer';
+    }
+    return null;
+  }
+
+  /** Team battles spawn red in the left third of the arena and blue in the right third. */
+  spawnZone(player) {
+    const { engine } = this;
+    if (!engine.teams || !player.team) return null;
+    const third = engine.arena.width / 3;
+    return player.team === C.TEAMS[0] ? { xMin: 0, xMax: third } : { xMin: third * 2, xMax: engine.arena.width };
+  }
+
+  onStart() {}
+
+  onTick() {}
+
+  onPlayerDown() {}
+
+  isOver() {
+    return false;
+  }
+
+  decideResult() {
+    return { winner: null, winningTeam: null };
+  }
+
+  /**
+   * Finishing order once the battle has ended, for ratings: groups of tied
+   * players, best first. Teams place as a whole (one group on a draw);
+   * otherwise the winner comes first and everyone else ranks by rankKey().
+   */
+  placements() {
+    const { engine } = this;
+    const players = [...engine.players.values()];
+    if (engine.teams) {
+      if (!engine.winningTeam) return [players];
+      return [
+        players.filter(p => p.team === engine.winningTeam),
+        players.filter(p => p.team !== engine.winningTeam),
+      ].filter(group => group.length > 0);
+    }
+
+    const key = p => [p === engine.winner ? 1 : 0, ...this.rankKey(p)];
+    const keys = new Map(players.map(p => [p, key(p)]));
+    const compare = (a, b) => {
+      const [ka, kb] = [keys.get(a), keys.get(b)];
+      for (let i = 0; i < ka.length; i++) if (ka[i] !== kb[i]) return kb[i] - ka[i];
+      return 0;
+    };
+    const groups = [];
+    for (const player of players.sort(compare)) {
+      const last = groups[groups.length - 1];
+      if (last && compare(last[0], player) === 0) last.push(player);
+      else groups.push([player]);
+    }
+    return groups;
+  }
+
+  /** Numbers compared in order, higher placing better: alive, kills, fewer deaths, hp. */
+  rankKey(player) {
+    return [player.alive ? 1 : 0, player.kills, -player.deaths, player.hp];
+  }
+
+  toJSON() {
+    return null;
+  }
+
+  objectiveFor() {
+    return null;
+  }
+
+  // ── Helpers for subclasses ─────────────────────
+
+  /** The team's standout player: alive first, then kills, then hp. */
+  bestOfTeam(team) {
+    const squad = [...this.engine.players.values()]
+      .filter(p => p.team === team)
+      .sort((a, b) => (b.alive - a.alive) || (b.kills - a.kills) || (b.hp - a.hp));
+    return squad[0] || null;
+  }
+
+  /** The single highest key in scores, or null when nobody scored or the lead is shared. */
+  static leader(scores) {
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0 || ranked[0][1] === 0) return null;
+    if (ranked.length > 1 && ranked[1][1] === ranked[0][1]) return null;
+    return ranked[0][0];
+  }
+}
+
+GameMode.id = null;
+GameMode.description = '';
+GameMode.requiresTeams = false;
+GameMode.respawns = false;
+GameMode.defaultScoreLimit = null;
+
+module.exports = GameMode;
@@ -0,0 +1,103 @@
+const GameMode = require('./GameMode');
+const C = require('../constants');
+
+/**
+ * Hold the hill — a circle near the middle of the arena. Every tick exactly
+ * one side (a player, or a team in team battles) has living players on it,
+ * that side scores a point; a shared hill is contested and nobody scores.
+ *
+ * Fallen players respawn. First to scoreLimit points wins; at the
+ * time limit the highest score wins, a tie is a draw.
+ */
+class KingOfTheHill extends GameMode {
+  constructor(engine, options) {
+    super(engine, options);
+    this.hill = null;      // { x, y, radius }
+    this.holder = null;    // team (team battles) or player id holding the hill
+    this.contested = false;
+    this.scores = {};      // team or player id → points
+  }
+
+  onStart() {
+    const { arena } = this.engine;
+    const placed = arena.map.objectives && arena.map.objectives.hill;
+    const centre = arena.freeSpotNear(placed ? placed.x : arena.width / 2, placed ? placed.y : arena.height / 2);
+    this.hill = { x: centre.x, y: centre.y, radius: (placed && placed.radius) || C.HILL_RADIUS };
+    this.holder = null;
+    this.contested = false;
+    this.scores = {};
+    for (const key of this._sides()) this.scores[key] = 0;
+  }
+
+  /** Who can score: the two teams, or every player in free-for-all. */
+  _sides() {
+    const { engine } = this;
+    return engine.teams ? C.TEAMS : [...engine.players.keys()];
+  }
+
+  _sideOf(player) {
+    return this.engine.teams ? player.team : player.id;
+  }
+
+  onTick() {
+    const sides = new Set();
+    for (const player of this.engine.players.values()) {
+      if (!player.alive) continue;
+      if (Math.hypot(player.x - this.hill.x, player.y - this.hill.y) <= this.hill.radius) {
+        sides.add(this._sideOf(player));
+      }
+    }
+
+    const holder = sides.size === 1 ? [...sides][0] : null;
+    this.contested = sides.size > 1;
+    if (holder !== this.holder && holder !== null) {
+      this.engine.battleLog.push({ tick: this.engine.tickCount, event: 'hill_taken', by: this._label(holder) });
+    }
+    this.holder = holder;
+    if (holder !== null) this.scores[holder] = (this.scores[holder] || 0) + 1;
+  }
+
+  _label(side) {
+    if (this.engine.teams) return side;
+    const player = this.engine.players.get(side);
+    return player ? player.username : side;
+  }
+
+  isOver() {
+    return Object.values(this.scores).some(s => s >= this.scoreLimit);
+  }
+
+  decideResult() {
+    const leader = GameMode.leader(this.scores);
+    if (this.engine.teams) {
+      return { winner: leader ? this.bestOfTeam(leader) : null, winningTeam: leader };
+    }
+    return { winner: leader ? this.engine.players.get(leader) || null : null, winningTeam: null };
+  }
+
+  rankKey(player) {
+    return [this.scores[player.id] || 0, player.kills, -player.deaths];
+  }
+
+  toJSON() {
+    if (!this.hill) return null;
+    return {
+      hill: this.hill,
+      holder: this.holder,
+      contested: this.contested,
+      scores: { ...this.scores },
+      scoreLimit: this.scoreLimit,
+    };
+  }
+
+  objectiveFor() {
+    return this.hill ? { x: this.hill.x, y: this.hill.y } : null;
+  }
+}
+
+KingOfTheHill.id = 'koth';
+KingOfTheHill.description = `Hold the hill alone to score a point a tick. First to ${C.KOTH_SCORE_LIMIT} wins.`;
+KingOfTheHill.respawns = true;
+KingOfTheHill.defaultScoreLimit = C.KOTH_SCORE_LIMIT;
+
+module.exports = KingOfTheHill;
@@ -0,0 +1,48 @@
+const Elimination = require('./Elimination');
+const Deathmatch = require('./Deathmatch');
+const CaptureTheFlag = require('./CaptureTheFlag');
+const KingOfTheHill = require('./KingOfTheHill');
+
+// id → GameMode subclass. Add a mode here to make it selectable in POST /start.
+const GAME_MODES = {
+  [Elimination.id]: Elimination,
+  [Deathmatch.id]: Deathmatch,
+  [CaptureTheFlag.id]: CaptureTheFlag,
+  [KingOfTheHill.id]: KingOfTheHill,
+};
+
+const DEFAULT_GAME_MODE = Elimination.id;
+
+function isValidGameMode(id) {
+  return Object.prototype.hasOwnProperty.call(GAME_MODES, id);
+}
+
+/** Public summaries for GET /modes. */
+function listGameModes() {
+  return Object.values(GAME_MODES).map(Mode => ({
+    id: Mode.id,
+    description: Mode.description,
+    requiresTeams: Mode.requiresTeams,
+    respawns: Mode.respawns,
+    scoreLimit: Mode.defaultScoreLimit,
+  }));
+}
+
+/** Error message for bad per-battle mode options ({ respawnDelay, scoreLimit }), or null. */
+function validateModeOptions(id, options) {
+  return GAME_MODES[id].validateOptions(options);
+}
+
+function createGameMode(id, engine, options = {}) {
+  if (!isValidGameMode(id)) throw new Error(`Unknown game mode: ${id}`);
+  return new GAME_MODES[id](engine, options);
+}
+
+module.exports = {
+  GAME_MODES,
+  DEFAULT_GAME_MODE,
+  isValidGameMode,
+  listGameModes,
+  validateModeOptions,
+  createGameMode,
+};
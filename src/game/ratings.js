@@ -0,0 +1,34 @@
+const C = require('./constants');
+
+/**
+ * Elo for battles of any size. Each player is scored against every opponent
+ * as if they had played a 1v1: 1 for placing above them, ½ for a tie, 0 for
+ * placing below. Their rating moves by K × (actual − expected), averaged over
+ * those pairings, so one battle is worth at most K whatever its size.
+ * Teammates are not each other's opponents.
+ */
+
+/** Chance that `rating` beats `opponentRating`, 0–1. */
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * entries: [{ rating, place, team }] — place 1 is best, equal places are tied,
+ * team null outside team battles. Returns each entry's rating change, rounded.
+ */
+function ratingChanges(entries, k = C.RATING_K) {
+  return entries.map((me, i) => {
+    let total = 0;
+    let opponents = 0;
+    entries.forEach((them, j) => {
+      if (i === j || (me.team && me.team === them.team)) return;
+      const actual = me.place < them.place ? 1 : me.place === them.place ? 0.5 : 0;
+      total += actual - expectedScore(me.rating, them.rating);
+      opponents++;
+    });
+    return opponents > 0 ? Math.round(k * total / opponents) : 0;
+  });
+}
+
+module.exports = { expectedScore, ratingChanges };
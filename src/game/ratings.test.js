@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { expectedScore, ratingChanges } = require('./ratings');
+
+test('equal ratings expect an even score, a 400-point gap about 10 to 1', () => {
+  assert.equal(expectedScore(1200, 1200), 0.5);
+  assert.ok(Math.abs(expectedScore(1600, 1200) - 10 / 11) < 1e-9);
+  assert.ok(Math.abs(expectedScore(1200, 1600) + expectedScore(1600, 1200) - 1) < 1e-9);
+});
+
+test('a 1v1 between equals moves both ratings by half of K', () => {
+  assert.deepEqual(ratingChanges([{ rating: 1200, place: 1 }, { rating: 1200, place: 2 }], 32), [16, -16]);
+});
+
+test('beating a much stronger player is worth more than beating a weaker one', () => {
+  const [upset] = ratingChanges([{ rating: 1000, place: 1 }, { rating: 1400, place: 2 }], 32);
+  const [expected] = ratingChanges([{ rating: 1400, place: 1 }, { rating: 1000, place: 2 }], 32);
+  assert.equal(upset, 29);
+  assert.equal(expected, 3);
+});
+
+test('a tie between equals changes nothing', () => {
+  assert.deepEqual(ratingChanges([{ rating: 1200, place: 1 }, { rating: 1200, place: 1 }], 32), [0, 0]);
+});
+
+test('a free-for-all averages the pairings, so a battle is worth at most K', () => {
+  const entries = [1, 2, 3, 4].map(place => ({ rating: 1200, place }));
+  assert.deepEqual(ratingChanges(entries, 32), [16, 5, -5, -16]);
+});
+
+test('teammates are not scored against each other', () => {
+  const changes = ratingChanges([
+    { rating: 1200, place: 1, team: 'red' },
+    { rating: 1300, place: 1, team: 'red' },
+    { rating: 1200, place: 2, team: 'blue' },
+    { rating: 1200, place: 2, team: 'blue' },
+  ], 32);
+  assert.deepEqual(changes, [16, 12, -14, -14]);
+});
+
+test('a player with no opponents keeps their rating', () => {
+  assert.deepEqual(ratingChanges([{ rating: 1200, place: 1 }], 32), [0]);
+});
@@ -0,0 +1,105 @@
+const C = require('./constants');
+
+/**
+ * Per-battle balance. Every field defaults to the value in constants.js and
+ * must stay within [min, max]. damage, bulletSpeed, bulletLifetime, ammo and
+ * reloadTicks are the pistol's; the other weapons scale by the same ratios
+ * (see weapons.js). arenaWidth/arenaHeight stretch the map to that size —
+ * null keeps the map's own.
+ */
+const RULE_FIELDS = {
+  hp:             { default: C.PLAYER_HP, min: 1, max: 1000, integer: true },
+  speed:          { default: C.PLAYER_SPEED, min: 0.1, max: 3 },
+  damage:         { default: C.BULLET_DAMAGE, min: 1, max: 1000, integer: true },
+  bulletSpeed:    { default: C.BULLET_SPEED, min: 0.25, max: 6 },
+  bulletLifetime: { default: C.BULLET_MAX_LIFETIME_TICKS, min: 1, max: 400, integer: true },
+  ammo:           { default: C.PLAYER_MAX_AMMO, min: 1, max: 100, integer: true },
+  reloadTicks:    { default: C.RELOAD_COOLDOWN_TICKS, min: 0, max: 200, integer: true },
+  timeLimitTicks: { default: C.MAX_BATTLE_DURATION_TICKS, min: C.TICK_RATE * 10, max: C.TICK_RATE * 3600, integer: true },
+  arenaWidth:     { default: null, min: C.MAP_MIN_SIZE, max: C.MAP_MAX_SIZE, integer: true },
+  arenaHeight:    { default: null, min: C.MAP_MIN_SIZE, max: C.MAP_MAX_SIZE, integer: true },
+};
+
+// id → { description, rules }. Add a preset here to make it selectable in POST /start.
+const RULE_PRESETS = {
+  classic: {
+    description: 'The standard rules.',
+    rules: {},
+  },
+  'one-shot': {
+    description: 'Any unshielded hit kills. Three-round pistol, slower reloads.',
+    rules: { hp: 10, ammo: 3, reloadTicks: 20 },
+  },
+  marathon: {
+    description: 'Double hp, bigger magazines and a 30-minute time limit.',
+    rules: { hp: 200, ammo: 8, timeLimitTicks: C.TICK_RATE * 60 * 30 },
+  },
+};
+
+const DEFAULT_RULE_PRESET = 'classic';
+
+function isValidPreset(id) {
+  return Object.prototype.hasOwnProperty.call(RULE_PRESETS, id);
+}
+
+/**
+ * Error message for a bad ruleset, or null. A ruleset is a preset id, or an
+ * object of field overrides with an optional `preset` to start from.
+ */
+function validateRules(spec) {
+  if (typeof spec === 'string') {
+    return isValidPreset(spec) ? null : `Unknown rules preset: ${spec}. Use one of ${Object.keys(RULE_PRESETS).join(', ')}`;
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return 'rules must be a preset id or an object of rule overrides';
+  }
+  for (const [name, value] of Object.entries(spec)) {
+    if (name === 'preset') {
+      if (typeof value !== 'string') return 'rules.preset must be a preset id';
+      const bad = validateRules(value);
+      if (bad) return bad;
+      continue;
+    }
+    const field = Object.prototype.hasOwnProperty.call(RULE_FIELDS, name) ? RULE_FIELDS[name] : null;
+    if (!field) return `Unknown rule: ${name}. Rules are ${Object.keys(RULE_FIELDS).join(', ')}`;
+    if (value === null && field.default === null) continue;
+    if (typeof value !== 'number' || !isFinite(value) || value < field.min || value > field.max ||
+        (field.integer && !Number.isInteger(value))) {
+      return `rules.${name} must be ${field.integer ? 'an integer' : 'a number'} between ${field.min} and ${field.max}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The full ruleset for a validated spec (see validateRules): defaults, then
+ * the preset, then the overrides. Omitted or null → the default preset.
+ */
+function resolveRules(spec = null) {
+  if (typeof spec === 'string') spec = { preset: spec };
+  const { preset = DEFAULT_RULE_PRESET, ...overrides } = spec || {};
+  const rules = { preset };
+  for (const [name, field] of Object.entries(RULE_FIELDS)) rules[name] = field.default;
+  return Object.assign(rules, RULE_PRESETS[preset].rules, overrides);
+}
+
+const DEFAULT_RULES = Object.freeze(resolveRules());
+
+/** Public summaries for GET /rules. */
+function listRulePresets() {
+  return Object.entries(RULE_PRESETS).map(([id, preset]) => ({
+    id,
+    description: preset.description,
+    rules: resolveRules(id),
+  }));
+}
+
+module.exports = {
+  RULE_FIELDS,
+  RULE_PRESETS,
+  DEFAULT_RULE_PRESET,
+  DEFAULT_RULES,
+  validateRules,
+  resolveRules,
+  listRulePresets,
+};
@@ -0,0 +1,84 @@
+const GameEngine = require('./GameEngine');
+const BattleRecorder = require('./BattleRecorder');
+
+/**
+ * Rebuild a battle from a seed, a roster and a per-tick action log on a
+ * non-realtime engine. The roster must be in the original registration order
+ * (ids and colours are forced, so only spawn points come from the seed).
+ *
+ * `frames` is the recording's frame list — only `t` and `actions` are read.
+ * `onFrame(engine, frame)` runs after each simulated tick.
+ */
+function simulateBattle({ seed, map, gameMode, modeOptions, teams, friendlyFire, zone, pickups, rules, roster, frames }, onFrame = null) {
+  const engine = new GameEngine({
+    seed, map: map || undefined, gameMode, modeOptions, teams, friendlyFire,
+    zone: zone ? zone.phases : null, pickups, rules, realtime: false,
+  });
+  // Bots join as plain players: their recorded actions are replayed below
+  // instead of re-running their AI.
+  for (const p of roster) {
+    engine.registerPlayer(p.username, p.id, p.color);
+    if (teams) engine.setTeam(p.id, p.team);
+  }
+  engine.startBattle();
+
+  for (const frame of frames) {
+    for (const a of frame.actions) {
+      engine.submitAction(a.playerId, a.action, a.direction, typeof a.angle === 'number' ? a.angle : null, a.seq, a.weapon);
+    }
+    engine.step();
+    if (onFrame && onFrame(engine, frame) === false) break;
+  }
+  return engine;
+}
+
+/**
+ * Re-run a recording and compare every simulated frame with the recorded one.
+ * Returns { verified, ticks } or, on the first mismatch,
+ * { verified: false, divergedAt, expected, actual }.
+ */
+function verifyRecording(recording) {
+  if (recording.seed == null) {
+    return { verified: false, error: 'Recording has no seed (recorded before seeding was supported)' };
+  }
+
+  // Crate hp as of the current frame: full at the start, then the per-frame
+  // changes. Recordings made before crates could break have no hp to track.
+  const obstacles = recording.arena.obstacles;
+  const crateHp = obstacles.some(o => o.hp != null) ? obstacles.map(o => o.hp) : null;
+  let objective = null; // latest recorded objective state, for objective modes
+  const pickupActive = recording.pickups ? recording.pickups.map(() => 1) : null;
+
+  let mismatch = null;
+  simulateBattle(recording, (engine, frame) => {
+    const actual = {
+      players: [...engine.players.values()].map(BattleRecorder.playerRow),
+      projectiles: [...engine.projectiles.values()].filter(p => p.alive).map(BattleRecorder.projectileRow),
+    };
+    const expected = { players: frame.players, projectiles: frame.projectiles };
+    if (crateHp) {
+      for (const [i, hp] of frame.crates || []) crateHp[i] = hp;
+      expected.crates = crateHp;
+      actual.crates = engine.arena.obstacles.map(o => o.hp);
+    }
+    if (pickupActive) {
+      for (const [i, active] of frame.pickups || []) pickupActive[i] = active;
+      expected.pickups = pickupActive;
+      actual.pickups = engine.pickups.map(p => (p.active ? 1 : 0));
+    }
+    if (frame.objective) objective = frame.objective;
+    if (objective) {
+      expected.objective = objective;
+      actual.objective = engine.gameMode.toJSON();
+    }
+    if (engine.tickCount !== frame.t || JSON.stringify(actual) !== JSON.stringify(expected)) {
+      mismatch = { verified: false, divergedAt: frame.t, expected, actual };
+      return false;
+    }
+    return true;
+  });
+
+  return mismatch || { verified: true, ticks: recording.frames.length };
+}
+
+module.exports = { simulateBattle, verifyRecording };
@@ -0,0 +1,55 @@
+const { TEAMS, TEAM_FORMATS } = require('./constants');
+
+function isValidFormat(format) {
+  return Object.prototype.hasOwnProperty.call(TEAM_FORMATS, format);
+}
+
+/**
+ * Decide the teams for a team battle.
+ *
+ * roster is [{ id, team }] in lobby order, where team is the player's own pick
+ * (or null). Picks are kept unless `balance` is set; everyone else joins the
+ * smaller team, in roster order — or in seeded-shuffled order when balancing,
+ * so a rebalance does not always split the lobby the same way.
+ *
+ * Returns { teams: Map(id → team) } or { error }.
+ */
+function assignTeams(roster, { format, balance = false, rng }) {
+  const perTeam = TEAM_FORMATS[format];
+  const teams = new Map();
+  const counts = Object.fromEntries(TEAMS.map(t => [t, 0]));
+  const pending = [];
+
+  for (const entry of roster) {
+    if (!balance && TEAMS.includes(entry.team)) {
+      teams.set(entry.id, entry.team);
+      counts[entry.team]++;
+    } else {
+      pending.push(entry.id);
+    }
+  }
+
+  if (balance) {
+    for (let i = pending.length - 1; i > 0; i--) {
+      const j = rng.int(i + 1);
+      [pending[i], pending[j]] = [pending[j], pending[i]];
+    }
+  }
+
+  for (const id of pending) {
+    const team = TEAMS.reduce((a, b) => (counts[b] < counts[a] ? b : a));
+    teams.set(id, team);
+    counts[team]++;
+  }
+
+  const summary = TEAMS.map(t => `${t} ${counts[t]}`).join(', ');
+  if (perTeam > 0 && TEAMS.some(t => counts[t] !== perTeam)) {
+    return { error: `${format} needs exactly ${perTeam} players per team (${summary})` };
+  }
+  if (TEAMS.some(t => counts[t] === 0)) {
+    return { error: `Team battles need at least one player on each team (${summary})` };
+  }
+  return { teams };
+}
+
+module.exports = { assignTeams, isValidFormat };
@@ -0,0 +1,8 @@
+const fs = require('fs');
+const { parentPort, workerData } = require('worker_threads');
+const { verifyRecording } = require('./simulate');
+
+// Worker thread for ReplayStore.verify(): reads one recording and re-simulates
+// it away from the main thread, whose event loop runs every live tick loop.
+const recording = JSON.parse(fs.readFileSync(workerData.file, 'utf8'));
+parentPort.postMessage({ id: recording.id, seed: recording.seed, ...verifyRecording(recording) });
@@ -0,0 +1,79 @@
+const C = require('./constants');
+
+/**
+ * Weapon stats. Every player carries all of them, each with its own magazine;
+ * `switch_weapon` picks the one `shoot` fires.
+ *
+ *   damage       hp per bullet (per pellet for the shotgun)
+ *   speed        units per tick
+ *   lifetime     ticks before the bullet fizzles — range is speed × lifetime
+ *   magazine     shots per reload
+ *   reloadTicks  cooldown after a reload before the weapon fires again
+ *   fireTicks    cooldown between shots
+ *   pellets      bullets per shot, fanned evenly across `spread` degrees
+ *   maxBullets   the player's bullets in flight above which this weapon holds fire
+ */
+const WEAPONS = {
+  pistol: {
+    damage: C.BULLET_DAMAGE, speed: C.BULLET_SPEED, lifetime: C.BULLET_MAX_LIFETIME_TICKS,
+    magazine: C.PLAYER_MAX_AMMO, reloadTicks: C.RELOAD_COOLDOWN_TICKS, fireTicks: 0,
+    pellets: 1, spread: 0, maxBullets: C.MAX_BULLETS_PER_PLAYER,
+  },
+  shotgun: {
+    damage: 15, speed: 1.5, lifetime: 6,
+    magazine: 2, reloadTicks: 25, fireTicks: 12,
+    pellets: 5, spread: 30, maxBullets: 10,
+  },
+  sniper: {
+    damage: 75, speed: 4, lifetime: 30,
+    magazine: 1, reloadTicks: 40, fireTicks: 30,
+    pellets: 1, spread: 0, maxBullets: 2,
+  },
+  smg: {
+    damage: 10, speed: 2.2, lifetime: 25,
+    magazine: 20, reloadTicks: 30, fireTicks: 2,
+    pellets: 1, spread: 0, maxBullets: 12,
+  },
+};
+
+const DEFAULT_WEAPON = 'pistol';
+
+function isValidWeapon(name) {
+  return Object.prototype.hasOwnProperty.call(WEAPONS, name);
+}
+
+/**
+ * The weapon table under a ruleset (see rules.js): the pistol takes its
+ * damage, bullet speed and lifetime, ammo and reload from the rules, and the
+ * others scale by the same ratios.
+ */
+function weaponsFor(rules) {
+  const ratio = {
+    damage: rules.damage / C.BULLET_DAMAGE,
+    speed: rules.bulletSpeed / C.BULLET_SPEED,
+    lifetime: rules.bulletLifetime / C.BULLET_MAX_LIFETIME_TICKS,
+    magazine: rules.ammo / C.PLAYER_MAX_AMMO,
+    reloadTicks: rules.reloadTicks / C.RELOAD_COOLDOWN_TICKS,
+  };
+  const table = {};
+  for (const [name, weapon] of Object.entries(WEAPONS)) {
+    table[name] = {
+      ...weapon,
+      damage: Math.max(1, Math.round(weapon.damage * ratio.damage)),
+      speed: Math.round(weapon.speed * ratio.speed * 100) / 100,
+      lifetime: Math.max(1, Math.round(weapon.lifetime * ratio.lifetime)),
+      magazine: Math.max(1, Math.round(weapon.magazine * ratio.magazine)),
+      reloadTicks: Math.round(weapon.reloadTicks * ratio.reloadTicks),
+    };
+  }
+  return table;
+}
+
+/** name → full magazine, for a fresh spawn. */
+function fullMagazines(weapons = WEAPONS) {
+  const ammo = {};
+  for (const [name, weapon] of Object.entries(weapons)) ammo[name] = weapon.magazine;
+  return ammo;
+}
+
+module.exports = { WEAPONS, DEFAULT_WEAPON, isValidWeapon, weaponsFor, fullMagazines };
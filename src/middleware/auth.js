@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// ── Player tokens ─────────────────────────────────────────────────────────────
+//  Every registered player gets a random secret token at /register. Only its
+//  SHA-256 hash is kept in the registry, so a leaked registry dump (or /debug
+//  output) can never be replayed as a credential.
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Constant-time comparison of a presented token against a stored hash.
+ */
+function tokenMatches(token, storedHash) {
+  if (typeof token !== 'string' || !token || !storedHash) return false;
+  const a = Buffer.from(hashToken(token), 'hex');
+  const b = Buffer.from(storedHash, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Token lookup order: `Authorization: Bearer <token>` header, then a `token`
+ * field in the JSON body, then a `?token=` query parameter.
+ */
+function extractToken(req) {
+  const header = req.headers && req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) return header.slice(7).trim();
+  if (req.body && typeof req.body.token === 'string') return req.body.token;
+  if (req.query && typeof req.query.token === 'string') return req.query.token;
+  return null;
+}
+
+/**
+ * Checks a token for a registered player.
+ * Returns null when valid, otherwise { status, error } ready to send back.
+ */
+function verifyPlayerToken(info, token) {
+  if (!token) return { status: 401, error: 'Player token is required' };
+  if (!tokenMatches(token, info.tokenHash)) return { status: 403, error: 'Invalid player token' };
+  return null;
+}
+
+/**
+ * Middleware factory: when the request names a player_id (body or query) that
+ * exists in the registry, the caller must present that player's token.
+ * Requests without a player_id, or for unknown players, fall through so the
+ * route can answer with its usual 400/404.
+ */
+function createPlayerAuth(playerRegistry) {
+  return function requirePlayerToken(req, res, next) {
+    const playerId = (req.body && req.body.player_id) || (req.query && req.query.player_id);
+    if (!playerId) return next();
+
+    const info = playerRegistry.get(playerId);
+    if (!info) return next();
+
+    const failure = verifyPlayerToken(info, extractToken(req));
+    if (failure) return res.status(failure.status).json({ error: failure.error });
+
+    req.player = info;
+    next();
+  };
+}
+
+// ── Admin key ─────────────────────────────────────────────────────────────────
+//  Host-only routes (/start, /reset, kicking players, full /debug) require the
+//  admin key in an `X-Admin-Key` header. It is a separate header so a request
+//  can carry both a player token and the admin key.
+
+function extractAdminKey(req) {
+  const key = req.headers && req.headers['x-admin-key'];
+  return typeof key === 'string' && key ? key : null;
+}
+
+/**
+ * Middleware factory for host-only routes.
+ */
+function createAdminAuth(adminKey) {
+  const adminKeyHash = hashToken(adminKey);
+
+  return function requireAdmin(req, res, next) {
+    const key = extractAdminKey(req);
+    if (!key) return res.status(401).json({ error: 'Admin key is required (X-Admin-Key header)' });
+    if (!tokenMatches(key, adminKeyHash)) return res.status(403).json({ error: 'Invalid admin key' });
+    next();
+  };
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  tokenMatches,
+  extractToken,
+  verifyPlayerToken,
+  createPlayerAuth,
+  extractAdminKey,
+  createAdminAuth,
+};
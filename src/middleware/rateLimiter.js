@@ -3,10 +3,13 @@ const { MAX_ACTIONS_PER_SECOND } = require('../game/constants');
 // Per-player rate limiting using a sliding window
 const playerActionTimestamps = new Map(); // playerId → [timestamps]
 
-function rateLimiter(req, res, next) {
-  const playerId = req.body && req.body.player_id;
-  if (!playerId) return next(); // no player_id, skip rate limiting
-
+/**
+ * Count one action against the player's window.
+ * Returns true when allowed, false when the player is over the limit.
+ * Shared by the HTTP middleware and WebSocket actions so both draw from the
+ * same budget.
+ */
+function checkRateLimit(playerId) {
   const now = Date.now();
   const windowMs = 1000;
 
@@ -21,14 +24,24 @@ function rateLimiter(req, res, next) {
     timestamps.shift();
   }
 
-  if (timestamps.length >= MAX_ACTIONS_PER_SECOND) {
-    return res.status(429).json({
-      error: 'Rate limit exceeded',
-      message: `Max ${MAX_ACTIONS_PER_SECOND} actions per second`,
-    });
-  }
+  if (timestamps.length >= MAX_ACTIONS_PER_SECOND) return false;
 
   timestamps.push(now);
+  return true;
+}
+
+const RATE_LIMIT_ERROR = {
+  error: 'Rate limit exceeded',
+  message: `Max ${MAX_ACTIONS_PER_SECOND} actions per second`,
+};
+
+function rateLimiter(req, res, next) {
+  const playerId = req.body && req.body.player_id;
+  if (!playerId) return next(); // no player_id, skip rate limiting
+
+  if (!checkRateLimit(playerId)) {
+    return res.status(429).json(RATE_LIMIT_ERROR);
+  }
   next();
 }
 
@@ -36,4 +49,4 @@ function clearPlayerRateLimit(playerId) {
   playerActionTimestamps.delete(playerId);
 }
 
-module.exports = { rateLimiter, clearPlayerRateLimit };
+module.exports = { rateLimiter, checkRateLimit, clearPlayerRateLimit, RATE_LIMIT_ERROR };
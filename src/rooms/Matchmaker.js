@@ -0,0 +1,314 @@
+const C = require('../game/constants');
+
+/**
+ * Matchmaking queue. Players queue for a match size and, optionally, a ranked
+ * match against players of similar rating. As soon as enough compatible
+ * players are waiting, the longest-waiting of them are grouped into a match.
+ * After a countdown it is played in a temporary room of its own, and when the
+ * battle is over everyone goes back to the room they came from (and their
+ * sandbox) and the match room is closed.
+ *
+ * Ranked matches group the longest-waiting player with the closest ratings,
+ * the whole group within C.MATCHMAKING_RATING_SPREAD of each other — a window
+ * that widens the longer that player waits, so nobody waits forever for a
+ * perfect match.
+ */
+class Matchmaker {
+  /** services: { playerRegistry, ratingStore } */
+  constructor(rooms, services) {
+    this.rooms = rooms;
+    this.services = services;
+    this.queue = [];           // { playerId, size, ranked, rating, joinedAt }, oldest first
+    this.matches = new Map();  // matchId → { id, size, ranked, entries, status, startsAt, room, origins, timer }
+    this.waits = new Map();    // queue key → recent waits in ms, newest last
+    this.matchCount = 0;
+    this.timer = setInterval(() => this.update(), C.MATCHMAKING_INTERVAL_MS);
+  }
+
+  // ── Queue ──────────────────────────────────────
+
+  /** options: { size, ranked } — validated by the router. */
+  enqueue(playerId, options) {
+    const info = this.services.playerRegistry.get(playerId);
+    if (!info) return { error: 'Player not found' };
+    if (this._entry(playerId)) return { error: 'Already in the queue' };
+    if (this.matchOf(playerId)) return { error: 'Already in a match' };
+    if (this.rooms.isInBattle(playerId)) return { error: 'Cannot queue during a battle' };
+    if (this._inTournament(playerId)) return { error: 'Cannot queue while entered in a running tournament' };
+
+    const rated = this.services.ratingStore.get(playerId);
+    this.queue.push({
+      playerId,
+      size: options.size,
+      ranked: !!options.ranked,
+      rating: rated ? rated.rating : C.RATING_INITIAL,
+      joinedAt: Date.now(),
+    });
+    this.update();
+    return { success: true, queue: this.statusOf(playerId) };
+  }
+
+  /**
+   * Leave the queue, or a match that has not started yet — which cancels it
+   * and puts the other players back in the queue where they were.
+   */
+  dequeue(playerId) {
+    const entry = this._entry(playerId);
+    if (entry) {
+      this.queue.splice(this.queue.indexOf(entry), 1);
+      return { success: true };
+    }
+    const match = this.matchOf(playerId);
+    if (!match) return { error: 'Not in the queue' };
+    if (match.status !== 'countdown') return { error: 'The match has already started' };
+    this._cancel(match, playerId);
+    return { success: true };
+  }
+
+  /** A removed player leaves the queue and any match still counting down. */
+  remove(playerId) {
+    if (this._entry(playerId) || (this.matchOf(playerId) || {}).status === 'countdown') this.dequeue(playerId);
+  }
+
+  /** The countdown, running or finishing match a player is in, or null. */
+  matchOf(playerId) {
+    for (const match of this.matches.values()) {
+      if (match.entries.some(e => e.playerId === playerId)) return match;
+    }
+    return null;
+  }
+
+  /** The room a player in a match room came from, or null. */
+  originOf(playerId) {
+    const match = this.matchOf(playerId);
+    return (match && match.origins.get(playerId)) || null;
+  }
+
+  _entry(playerId) {
+    return this.queue.find(e => e.playerId === playerId) || null;
+  }
+
+  /** Moving to a match room would withdraw them from their room's tournament. */
+  _inTournament(playerId) {
+    const room = this.rooms.roomOf(playerId);
+    return !!room && room.isInTournament(playerId);
+  }
+
+  // ── Forming matches ────────────────────────────
+
+  /** Group whoever can be grouped now, and tidy up matches whose room was reset or closed. */
+  update() {
+    const now = Date.now();
+    for (let i = 0; i < this.queue.length; i++) {
+      const group = this._groupFor(this.queue[i], now);
+      if (!group) continue;
+      this._form(group, now);
+      i = -1; // the queue changed; start again from the longest-waiting player
+    }
+
+    for (const match of this.matches.values()) {
+      const room = match.room && this.rooms.get(match.room);
+      if (match.status === 'running' && !(room && room.battleActive)) this._finish(match);
+    }
+  }
+
+  /** The anchor plus enough compatible players for its size, or null. Players in a battle sit out. */
+  _groupFor(anchor, now) {
+    if (this.rooms.isInBattle(anchor.playerId)) return null;
+    const others = this.queue.filter(e => e !== anchor && e.size === anchor.size && e.ranked === anchor.ranked &&
+      !this.rooms.isInBattle(e.playerId));
+    if (!anchor.ranked) return others.length >= anchor.size - 1 ? [anchor, ...others.slice(0, anchor.size - 1)] : null;
+
+    // Try each rating window of width `spread` that holds the anchor; keep the
+    // group closest to the anchor's rating
+    const spread = this.spreadFor(anchor, now);
+    const distance = e => Math.abs(e.rating - anchor.rating);
+    const close = others.filter(e => distance(e) <= spread).sort((a, b) => distance(a) - distance(b));
+    let best = null;
+    let bestDistance = Infinity;
+    for (const low of [anchor, ...close].map(e => e.rating).filter(r => r <= anchor.rating)) {
+      const group = close.filter(e => e.rating >= low && e.rating <= low + spread).slice(0, anchor.size - 1);
+      if (group.length < anchor.size - 1) continue;
+      const total = group.reduce((sum, e) => sum + distance(e), 0);
+      if (total < bestDistance) [best, bestDistance] = [group, total];
+    }
+    return best ? [anchor, ...best] : null;
+  }
+
+  /** Rating gap a ranked player accepts after waiting since entry.joinedAt. */
+  spreadFor(entry, now = Date.now()) {
+    return C.MATCHMAKING_RATING_SPREAD + C.MATCHMAKING_SPREAD_GROWTH * Math.floor((now - entry.joinedAt) / 1000);
+  }
+
+  _form(entries, now) {
+    this.queue = this.queue.filter(e => !entries.includes(e));
+    const key = queueKey(entries[0]);
+    const waits = this.waits.get(key) || [];
+    waits.push(...entries.map(e => now - e.joinedAt));
+    this.waits.set(key, waits.slice(-C.MATCHMAKING_WAIT_HISTORY));
+
+    const match = {
+      id: `match-${++this.matchCount}`,
+      size: entries[0].size,
+      ranked: entries[0].ranked,
+      entries,
+      status: 'countdown',     // countdown | running | finished
+      startsAt: now + C.MATCHMAKING_COUNTDOWN_MS,
+      room: null,
+      origins: new Map(),      // playerId → the room to go back to
+      timer: null,
+    };
+    match.timer = setTimeout(() => this._launch(match), C.MATCHMAKING_COUNTDOWN_MS);
+    this.matches.set(match.id, match);
+  }
+
+  /**
+   * Back to the queue in their original order. `leaving`, anyone no longer
+   * registered and anyone entered in a tournament since queueing is dropped.
+   */
+  _cancel(match, leaving = null) {
+    clearTimeout(match.timer);
+    this.matches.delete(match.id);
+    const back = match.entries.filter(e => e.playerId !== leaving && this.services.playerRegistry.has(e.playerId) &&
+      !this._inTournament(e.playerId));
+    this.queue = [...this.queue, ...back].sort((a, b) => a.joinedAt - b.joinedAt);
+  }
+
+  // ── Playing matches ────────────────────────────
+
+  _launch(match) {
+    const { playerRegistry } = this.services;
+    // Someone who left, got pulled into their own room's battle or entered a
+    // tournament (moving them would forfeit it) calls it off
+    if (match.entries.some(e => !playerRegistry.has(e.playerId) || this.rooms.isInBattle(e.playerId) ||
+      this._inTournament(e.playerId))) {
+      this._cancel(match);
+      this.update();
+      return;
+    }
+
+    const created = this.rooms.create({ name: `Match ${match.id.slice('match-'.length)}`, temporary: true });
+    if (created.error) {
+      // Out of rooms: try again shortly, the countdown simply runs long
+      match.startsAt = Date.now() + C.MATCHMAKING_INTERVAL_MS;
+      match.timer = setTimeout(() => this._launch(match), C.MATCHMAKING_INTERVAL_MS);
+      return;
+    }
+
+    const room = created.room;
+    match.room = room.id;
+    for (const { playerId } of match.entries) {
+      match.origins.set(playerId, playerRegistry.get(playerId).room);
+      this.rooms.move(playerId, room.id);
+    }
+    const result = room.startBattle({
+      onEnd: () => {
+        match.status = 'finished';
+        match.timer = setTimeout(() => this._finish(match), C.MATCHMAKING_RESULT_MS);
+      },
+    });
+    match.status = 'running';
+    if (result.error) {
+      console.error(`Could not start ${match.id}: ${result.error}`);
+      this._finish(match);
+    }
+  }
+
+  /** Everyone back to their own room and sandbox; the match room closes. */
+  _finish(match) {
+    clearTimeout(match.timer);
+    this.matches.delete(match.id);
+    const room = this.rooms.get(match.room);
+    if (!room) return;
+
+    room.reset();
+    for (const [playerId, origin] of match.origins) {
+      const info = this.services.playerRegistry.get(playerId);
+      if (!info || info.room !== room.id) continue;
+      this.rooms.move(playerId, this.rooms.get(origin) ? origin : C.DEFAULT_ROOM);
+    }
+    this.rooms.remove(room.id);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    for (const match of this.matches.values()) clearTimeout(match.timer);
+  }
+
+  // ── Payloads ───────────────────────────────────
+
+  /**
+   * A player's place in the queue, or their match while it counts down; null
+   * otherwise. estimatedWaitMs is null until a match of that kind has formed.
+   */
+  statusOf(playerId, now = Date.now()) {
+    const entry = this._entry(playerId);
+    if (entry) {
+      const line = this.queue.filter(e => queueKey(e) === queueKey(entry));
+      const position = line.indexOf(entry) + 1;
+      const status = {
+        status: 'queued',
+        size: entry.size,
+        ranked: entry.ranked,
+        position,
+        queued: line.length,
+        waitedMs: now - entry.joinedAt,
+        estimatedWaitMs: this._estimate(entry, position, now),
+      };
+      if (entry.ranked) Object.assign(status, { rating: entry.rating, spread: this.spreadFor(entry, now) });
+      return status;
+    }
+    const match = this.matchOf(playerId);
+    if (match && match.status === 'countdown') {
+      return {
+        status: 'matched',
+        size: match.size,
+        ranked: match.ranked,
+        match: match.id,
+        players: match.entries.length,
+        startsInMs: Math.max(0, match.startsAt - now),
+      };
+    }
+    return null;
+  }
+
+  /** Average recent wait for this kind of match, once per group of players ahead, less the time already waited. */
+  _estimate(entry, position, now) {
+    const waits = this.waits.get(queueKey(entry));
+    if (!waits || waits.length === 0) return null;
+    const average = waits.reduce((sum, ms) => sum + ms, 0) / waits.length;
+    return Math.max(0, Math.round(average * Math.ceil(position / entry.size) - (now - entry.joinedAt)));
+  }
+
+  /** Public overview for GET /queue. */
+  toJSON(now = Date.now()) {
+    const { playerRegistry } = this.services;
+    const name = id => (playerRegistry.get(id) || {}).username || null;
+    const lines = new Map();
+    for (const entry of this.queue) {
+      const key = queueKey(entry);
+      if (!lines.has(key)) lines.set(key, { size: entry.size, ranked: entry.ranked, players: [] });
+      lines.get(key).players.push({ id: entry.playerId, username: name(entry.playerId), waitedMs: now - entry.joinedAt });
+    }
+    return {
+      queues: [...lines.values()],
+      matches: [...this.matches.values()].map(match => ({
+        id: match.id,
+        status: match.status,
+        size: match.size,
+        ranked: match.ranked,
+        players: match.entries.map(e => ({ id: e.playerId, username: name(e.playerId) })),
+        startsInMs: match.status === 'countdown' ? Math.max(0, match.startsAt - now) : null,
+        room: match.room,
+        bigscreen: match.room ? `/bigscreen?room=${encodeURIComponent(match.room)}` : null,
+      })),
+    };
+  }
+}
+
+/** Players only match others queued for the same size and kind. */
+function queueKey(entry) {
+  return `${entry.size}:${entry.ranked ? 'ranked' : 'casual'}`;
+}
+
+module.exports = Matchmaker;
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const C = require('../game/constants');
+const Matchmaker = require('./Matchmaker');
+
+/**
+ * A matchmaker over plain registry and rating maps, with nobody in a battle.
+ * `tournament` lists players entered in a running tournament in their room.
+ */
+function matchmaker(players, tournament = []) {
+  const registry = new Map(players.map(p => [p.id, { username: p.id, room: C.DEFAULT_ROOM }]));
+  const ratings = new Map(players.filter(p => p.rating).map(p => [p.id, { rating: p.rating }]));
+  const room = { isInTournament: id => tournament.includes(id) };
+  const rooms = { isInBattle: () => false, roomOf: () => room, get: () => null };
+  const mm = new Matchmaker(rooms, { playerRegistry: registry, ratingStore: { get: id => ratings.get(id) || null } });
+  test.after(() => mm.stop());
+  return mm;
+}
+
+const grouped = mm => [...mm.matches.values()].map(m => m.entries.map(e => e.playerId));
+
+test('casual players are grouped in the order they queued', () => {
+  const mm = matchmaker(['a', 'b', 'c', 'd', 'e'].map(id => ({ id })));
+  for (const id of ['a', 'b', 'c', 'd', 'e']) mm.enqueue(id, { size: 2, ranked: false });
+  assert.deepEqual(grouped(mm), [['a', 'b'], ['c', 'd']]);
+  assert.deepEqual(mm.queue.map(e => e.playerId), ['e']);
+});
+
+test('only players queued for the same size and kind are grouped', () => {
+  const mm = matchmaker(['a', 'b', 'c', 'd'].map(id => ({ id })));
+  mm.enqueue('a', { size: 3, ranked: false });
+  mm.enqueue('b', { size: 2, ranked: false });
+  mm.enqueue('c', { size: 3, ranked: true });
+  mm.enqueue('d', { size: 3, ranked: false });
+  assert.deepEqual(grouped(mm), []);
+  assert.equal(mm.queue.length, 4);
+});
+
+test('ranked players are grouped with the closest rating inside the spread', () => {
+  const mm = matchmaker([{ id: 'a', rating: 1200 }, { id: 'b', rating: 1290 }, { id: 'c', rating: 1250 }, { id: 'd', rating: 1500 }]);
+  mm.enqueue('a', { size: 2, ranked: true });
+  mm.enqueue('d', { size: 2, ranked: true });
+  assert.deepEqual(grouped(mm), []);
+  mm.enqueue('b', { size: 2, ranked: true });
+  mm.enqueue('c', { size: 2, ranked: true });
+  // b arrives first and is within 100 of a; c then has nobody close enough
+  assert.deepEqual(grouped(mm), [['a', 'b']]);
+  assert.deepEqual(mm.queue.map(e => e.playerId), ['d', 'c']);
+});
+
+test('a ranked group of three fits within the spread from its lowest to its highest rating', () => {
+  const mm = matchmaker([{ id: 'a', rating: 1200 }, { id: 'b', rating: 1110 }, { id: 'c', rating: 1290 }, { id: 'd', rating: 1230 }]);
+  mm.enqueue('a', { size: 3, ranked: true });
+  mm.enqueue('b', { size: 3, ranked: true });
+  mm.enqueue('c', { size: 3, ranked: true });
+  // b and c are each within 100 of a, but 180 apart
+  assert.deepEqual(grouped(mm), []);
+  mm.enqueue('d', { size: 3, ranked: true });
+  assert.deepEqual(grouped(mm), [['a', 'd', 'c']]);
+  assert.deepEqual(mm.queue.map(e => e.playerId), ['b']);
+});
+
+test('the accepted rating gap widens the longer a ranked player waits', () => {
+  const mm = matchmaker([{ id: 'a', rating: 1200 }, { id: 'b', rating: 1500 }]);
+  const now = Date.now();
+  mm.queue = [
+    { playerId: 'a', size: 2, ranked: true, rating: 1200, joinedAt: now - 19000 },
+    { playerId: 'b', size: 2, ranked: true, rating: 1500, joinedAt: now },
+  ];
+  assert.equal(mm.spreadFor(mm.queue[0], now), C.MATCHMAKING_RATING_SPREAD + 19 * C.MATCHMAKING_SPREAD_GROWTH);
+  mm.update();
+  assert.deepEqual(grouped(mm), []);
+
+  mm.queue[0].joinedAt = now - 20000;
+  mm.update();
+  assert.deepEqual(grouped(mm), [['a', 'b']]);
+});
+
+test('players entered in a running tournament cannot queue', () => {
+  const mm = matchmaker([{ id: 'a' }, { id: 'b' }], ['b']);
+  assert.equal(mm.enqueue('a', { size: 2, ranked: false }).success, true);
+  assert.match(mm.enqueue('a', { size: 2, ranked: false }).error, /Already in the queue/);
+  assert.match(mm.enqueue('b', { size: 2, ranked: false }).error, /tournament/);
+});
+
+test('leaving a match that is counting down puts the others back in the queue', () => {
+  const mm = matchmaker(['a', 'b', 'c'].map(id => ({ id })));
+  for (const id of ['a', 'b', 'c']) mm.enqueue(id, { size: 3, ranked: false });
+  assert.equal(mm.matchOf('b').status, 'countdown');
+  assert.deepEqual(mm.dequeue('b'), { success: true });
+  assert.equal(mm.matches.size, 0);
+  assert.deepEqual(mm.queue.map(e => e.playerId), ['a', 'c']);
+});
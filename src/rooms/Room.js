@@ -0,0 +1,298 @@
+const GameEngine = require('../game/GameEngine');
+const BattleRecorder = require('../game/BattleRecorder');
+const SeededRandom = require('../game/SeededRandom');
+const Tournament = require('../game/Tournament');
+const { assignTeams } = require('../game/teams');
+const { GAME_MODES, DEFAULT_GAME_MODE } = require('../game/modes');
+const C = require('../game/constants');
+
+/**
+ * One lobby and the battles played in it. Every registered player belongs to
+ * exactly one room (the registry entry's `room`); a room's battles only take
+ * its own members, and its battle engine, map rotation, default ruleset and
+ * tournament are its own. The registry, sandboxes, replays and ratings are
+ * shared — they come in through `services` (see RoomManager).
+ */
+class Room {
+  /**
+   * options: { name, rules, mapRotation, createdAt, temporary } — rules is a
+   * validated ruleset spec for battles that do not send their own (see
+   * rules.js). Temporary rooms (matchmaking) are not saved across restarts.
+   */
+  constructor(id, options, services) {
+    this.id = id;
+    this.name = options.name || id;
+    this.rules = options.rules || null;
+    this.temporary = !!options.temporary;
+    this.createdAt = options.createdAt || new Date().toISOString();
+    this.services = services;
+
+    this.battleEngine = null;      // null when no battle is on
+    this.battleActive = false;
+    this.tournament = null;        // the current (or last) Tournament
+    this.tournamentSettings = null; // { autoAdvance, battle } from POST /tournament
+    this.tournamentTimer = null;   // intermission before the next match
+
+    this.mapRotation = (options.mapRotation || services.defaultRotation).slice();
+    this.rotationIndex = 0;
+  }
+
+  /** [[playerId, registry entry]] for everyone in this room, bots included. */
+  members() {
+    return [...this.services.playerRegistry].filter(([, info]) => info.room === this.id);
+  }
+
+  /** Tournament matches only take some members; the rest stay in their sandboxes. */
+  isInBattle(playerId) {
+    return this.battleActive && !!this.battleEngine && this.battleEngine.players.has(playerId);
+  }
+
+  get mode() {
+    return this.battleActive && this.battleEngine ? this.battleEngine.mode : C.MODE_LOBBY;
+  }
+
+  getLobbyState() {
+    const players = this.members().map(([id, info]) => ({
+      id, username: info.username, ready: info.ready, color: info.color, isBot: !!info.isBot, team: info.team || null,
+    }));
+    const nextId = this.peekRotation();
+    const nextMap = this.services.mapStore.get(nextId);
+    return {
+      mode: 'lobby', tick: 0, players, arena: null, projectiles: [], winner: null,
+      room: { id: this.id, name: this.name },
+      nextMap: { id: nextId, name: nextMap ? (nextMap.name || nextId) : 'Generated' },
+    };
+  }
+
+  // ── Map rotation ───────────────────────────────
+
+  peekRotation() {
+    return this.mapRotation[this.rotationIndex % this.mapRotation.length];
+  }
+
+  getMapRotation() {
+    return { maps: this.mapRotation.slice(), next: this.peekRotation() };
+  }
+
+  /** Replace the rotation; ids must already be checked with mapStore.isPlayable(). */
+  setMapRotation(ids) {
+    this.mapRotation = ids.slice();
+    this.rotationIndex = 0;
+  }
+
+  // ── Battles ────────────────────────────────────
+
+  /**
+   * Start a battle with this room's members. options.playerIds limits it to
+   * those players (tournament matches); options.onEnd(engine, replayId) runs
+   * once the battle is over.
+   */
+  startBattle(options = {}) {
+    const { mapStore, config, ratingStore, wsClients, saveRecording, sendState } = this.services;
+    if (this.battleActive) return { error: 'Battle already in progress' };
+    const entrants = options.playerIds
+      ? this.members().filter(([id]) => options.playerIds.includes(id))
+      : this.members();
+    if (entrants.length === 0) return { error: 'No players in this room' };
+
+    // A named map is a one-off; otherwise play the rotation's next map and advance
+    // A "generated" map uses the battle seed unless the generator options name one
+    const mapId = options.mapId || this.peekRotation();
+    const seed = options.seed != null ? options.seed : SeededRandom.randomSeed();
+    const map = mapStore.resolve(mapId, options.generator, seed);
+
+    // Team formats: lobby picks plus auto-balance for everyone else (see teams.js).
+    // Modes played in teams (capture the flag) default to red vs blue.
+    const gameMode = options.gameMode || DEFAULT_GAME_MODE;
+    const needsTeams = GAME_MODES[gameMode].requiresTeams;
+    if (needsTeams && options.format === 'ffa') return { error: `${gameMode} is a team mode; use a team format` };
+    const format = options.format || (needsTeams ? 'teams' : 'ffa');
+    let teams = null;
+    if (format !== 'ffa') {
+      const roster = entrants.map(([id, info]) => ({ id, team: info.team }));
+      const result = assignTeams(roster, { format, balance: options.balance, rng: new SeededRandom(`${seed}:teams`) });
+      if (result.error) return result;
+      teams = result.teams;
+    }
+
+    const fogOfWar = options.fogOfWar != null ? options.fogOfWar : config.fogOfWar;
+    // Shrinking zone: true → the configured schedule, a phase list → that schedule
+    let zone = options.zone != null ? options.zone : config.zone;
+    if (zone === true) zone = config.zonePhases || true;
+    const pickups = options.pickups != null ? options.pickups : config.pickups;
+    const engine = new GameEngine({
+      seed, fogOfWar, map, gameMode, modeOptions: options.modeOptions, zone, pickups,
+      teams: !!teams, friendlyFire: !!options.friendlyFire,
+      rules: options.rules != null ? options.rules : this.rules,
+    });
+    engine.recorder = new BattleRecorder();
+    engine.onBattleEnd = () => {
+      const replayId = saveRecording(engine, 'finished');
+      ratingStore.recordBattle(engine, replayId);
+      if (options.onEnd) options.onEnd(engine, replayId);
+    };
+
+    // Register every player preserving their sandbox ID and colour
+    for (const [playerId, info] of entrants) {
+      if (info.isBot) {
+        engine.addBot(info.strategy, { id: playerId, username: info.username, color: info.color, difficulty: info.difficulty });
+      } else {
+        engine.registerPlayer(info.username, playerId, info.color);
+      }
+      if (teams) engine.setTeam(playerId, teams.get(playerId));
+    }
+
+    const result = engine.startBattle();
+    if (result.error) return result;
+    if (!options.mapId) this.rotationIndex = (this.rotationIndex + 1) % this.mapRotation.length;
+
+    this.battleEngine = engine;
+    this.battleActive = true;
+
+    // Broadcast on every battle tick: this room's big screens (with the tick's
+    // battle log entries), and the players in the battle
+    let logged = 0;
+    engine.onStateUpdate = (fullState) => {
+      const events = engine.battleLog.slice(logged);
+      logged = engine.battleLog.length;
+      for (const client of wsClients) {
+        if (client.ws.readyState !== 1) continue;
+        try {
+          if (client.type === 'bigscreen') {
+            if (client.room === this.id) sendState(client, fullState, events);
+          } else if (client.type === 'player' && client.playerId) {
+            const pState = engine.getPlayerState(client.playerId);
+            if (pState) sendState(client, pState);
+          }
+        } catch (_) { /* stale connection */ }
+      }
+    };
+
+    return { ...result, format, room: this.id };
+  }
+
+  reset() {
+    // A reset mid-tournament replays the interrupted match and pauses auto-advance
+    clearTimeout(this.tournamentTimer);
+    this.tournamentTimer = null;
+    if (this.tournament && this.tournament.currentMatch) this.tournament.abortMatch();
+
+    if (this.battleEngine) {
+      // A battle cut short still gets a recording, marked as aborted
+      if (this.battleEngine.mode === C.MODE_BATTLE) this.services.saveRecording(this.battleEngine, 'aborted');
+      this.battleEngine._stopTickLoop();
+      this.battleEngine = null;
+    }
+    this.battleActive = false;
+
+    for (const [playerId, info] of this.members()) {
+      const sandbox = this.services.sandboxManager.get(playerId);
+      if (sandbox) sandbox.resetToLobby();
+      if (!info.isBot) info.ready = false; // bots are always ready
+    }
+  }
+
+  // ── Tournaments ────────────────────────────────
+  // Tournament.js keeps the bracket; here each match becomes a battle between
+  // its two players, and the winner is reported back when the battle ends.
+
+  /** options: { playerIds, bracket, seeding, seed, autoAdvance, battle } — validated by the router. */
+  startTournament(options) {
+    if (this.tournament && this.tournament.status === 'running') return { error: 'A tournament is already running' };
+    if (this.battleActive) return { error: 'Battle in progress — POST /reset first' };
+
+    const { playerRegistry } = this.services;
+    const entrants = options.playerIds.map(id => ({ id, username: playerRegistry.get(id).username }));
+    this.tournament = new Tournament(entrants, { bracket: options.bracket, seeding: options.seeding, seed: options.seed });
+    this.tournamentSettings = { autoAdvance: options.autoAdvance !== false, battle: options.battle || {} };
+    const battle = this.startNextMatch();
+    return { success: true, tournament: this.tournament.toJSON(), battle };
+  }
+
+  /** Start the next ready match, ending whatever battle is still on screen. */
+  startNextMatch() {
+    clearTimeout(this.tournamentTimer);
+    this.tournamentTimer = null;
+    const { tournament } = this;
+    if (!tournament || tournament.status !== 'running') return { error: 'No tournament is running' };
+    if (tournament.currentMatch) return { error: `Match ${tournament.currentMatch} is still being played` };
+    const match = tournament.nextMatch();
+    if (!match) return { error: 'No match is ready' };
+
+    if (this.battleEngine) this.reset();
+    const { seed, ...battle } = this.tournamentSettings.battle;
+    const result = this.startBattle({
+      ...battle,
+      seed: seed != null ? `${seed}:${match.id}` : undefined,
+      playerIds: match.players,
+      onEnd: (engine, replayId) => {
+        if (this.tournament !== tournament || tournament.currentMatch !== match.id) return;
+        tournament.recordResult(engine.winner ? engine.winner.id : null, replayId);
+        this._scheduleNextMatch();
+      },
+    });
+    if (result.error) return result;
+    tournament.startMatch(match.id);
+    return { ...result, match: match.id };
+  }
+
+  _scheduleNextMatch() {
+    if (!this.tournament || this.tournament.status !== 'running' || !this.tournamentSettings.autoAdvance) return;
+    this.tournamentTimer = setTimeout(() => this.startNextMatch(), C.TOURNAMENT_INTERMISSION_MS);
+  }
+
+  /** Entered in this room's running tournament and not withdrawn. */
+  isInTournament(playerId) {
+    const player = this.tournament && this.tournament.status === 'running' && this.tournament.getPlayer(playerId);
+    return !!player && !player.withdrawn;
+  }
+
+  /** A player leaving forfeits their remaining matches, the running one included. */
+  withdrawFromTournament(playerId) {
+    const { tournament } = this;
+    if (!tournament || tournament.status !== 'running' || !tournament.getPlayer(playerId)) return;
+    const running = tournament.currentMatch;
+    tournament.withdraw(playerId);
+    if (running && !tournament.currentMatch) {
+      this.reset();
+      this._scheduleNextMatch();
+    }
+  }
+
+  cancelTournament() {
+    if (!this.tournament) return { error: 'No tournament' };
+    const wasPlaying = !!this.tournament.currentMatch;
+    this.tournament = null;
+    this.tournamentSettings = null;
+    if (wasPlaying) this.reset();
+    clearTimeout(this.tournamentTimer);
+    this.tournamentTimer = null;
+    return { success: true };
+  }
+
+  // ── Payloads ───────────────────────────────────
+
+  /** Summary for GET /rooms. */
+  toJSON() {
+    const members = this.members();
+    return {
+      id: this.id,
+      name: this.name,
+      mode: this.mode,
+      playerCount: members.length,
+      readyCount: members.filter(([, info]) => info.ready).length,
+      rules: this.rules,
+      tournament: this.tournament ? this.tournament.status : null,
+      temporary: this.temporary,
+      createdAt: this.createdAt,
+      bigscreen: `/bigscreen?room=${encodeURIComponent(this.id)}`,
+    };
+  }
+
+  /** What RoomManager saves so the room comes back after a restart. */
+  settings() {
+    return { id: this.id, name: this.name, rules: this.rules, mapRotation: this.mapRotation.slice(), createdAt: this.createdAt };
+  }
+}
+
+module.exports = Room;
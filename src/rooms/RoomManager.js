@@ -0,0 +1,135 @@
+const Room = require('./Room');
+const C = require('../game/constants');
+
+const ROOM_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+/**
+ * All rooms on the server. The default room (C.DEFAULT_ROOM) always exists:
+ * new players land there unless they pick another, and the members of a
+ * closed room are moved back to it.
+ *
+ * services: { playerRegistry, sandboxManager, mapStore, ratingStore, config,
+ * wsClients, defaultRotation, saveRecording, sendState } — shared by every room.
+ */
+class RoomManager {
+  constructor(services) {
+    this.services = services;
+    this.rooms = new Map(); // roomId → Room
+    this.create({ id: C.DEFAULT_ROOM, name: 'Main' });
+  }
+
+  static isValidId(id) {
+    return typeof id === 'string' && ROOM_ID_PATTERN.test(id);
+  }
+
+  /**
+   * options: { id, name, rules, mapRotation, createdAt } — validated by the
+   * router. Without an id one is made from the name.
+   */
+  create(options) {
+    if (this.rooms.size >= C.MAX_ROOMS) return { error: `At most ${C.MAX_ROOMS} rooms can be open` };
+    let id = options.id;
+    if (id != null) {
+      if (this.rooms.has(id)) return { error: `Room ${id} already exists` };
+    } else {
+      const base = slugify(options.name) || 'room';
+      id = base;
+      for (let n = 2; this.rooms.has(id); n++) id = `${base}-${n}`;
+    }
+    const room = new Room(id, options, this.services);
+    this.rooms.set(id, room);
+    return { room };
+  }
+
+  get(id) {
+    return this.rooms.get(id) || null;
+  }
+
+  list() {
+    return [...this.rooms.values()];
+  }
+
+  /** The room a registered player is in, or null for an unknown player. */
+  roomOf(playerId) {
+    const info = this.services.playerRegistry.get(playerId);
+    return info ? this.get(info.room) : null;
+  }
+
+  isInBattle(playerId) {
+    const room = this.roomOf(playerId);
+    return !!room && room.isInBattle(playerId);
+  }
+
+  /** The battle engine when the player is in their room's battle, otherwise their sandbox. */
+  getEngineForPlayer(playerId) {
+    const room = this.roomOf(playerId);
+    if (room && room.isInBattle(playerId)) return room.battleEngine;
+    return this.services.sandboxManager.get(playerId);
+  }
+
+  /**
+   * Move a player to another room. They leave any tournament in the old one
+   * and start the new lobby unready and without a team pick.
+   */
+  move(playerId, roomId) {
+    const info = this.services.playerRegistry.get(playerId);
+    const target = this.get(roomId);
+    if (!info) return { error: 'Player not found' };
+    if (!target) return { error: `Unknown room: ${roomId}` };
+    if (info.room === roomId) return { error: `Already in room ${roomId}` };
+    if (this.isInBattle(playerId)) return { error: 'Cannot change rooms during a battle' };
+
+    const current = this.get(info.room);
+    if (current) current.withdrawFromTournament(playerId);
+    info.room = roomId;
+    info.team = null;
+    if (!info.isBot) info.ready = false;
+    return { success: true, room: target };
+  }
+
+  /**
+   * Close a room: its battle and tournament end, its members go back to the
+   * default room and its big screens are disconnected.
+   */
+  remove(id) {
+    const room = this.get(id);
+    if (!room) return { error: `Unknown room: ${id}` };
+    if (id === C.DEFAULT_ROOM) return { error: 'The default room cannot be closed' };
+
+    if (room.tournament) room.cancelTournament();
+    if (room.battleEngine) room.reset();
+    for (const [, info] of room.members()) {
+      info.room = C.DEFAULT_ROOM;
+      info.team = null;
+      if (!info.isBot) info.ready = false;
+    }
+    for (const client of this.services.wsClients) {
+      if (client.type !== 'bigscreen' || client.room !== id) continue;
+      try { client.ws.close(4404, 'Room closed'); } catch (_) { /* already gone */ }
+    }
+    this.rooms.delete(id);
+    return { success: true, moved: C.DEFAULT_ROOM };
+  }
+
+  /** Every lasting room's settings, for the registry snapshot. */
+  snapshot() {
+    return this.list().filter(room => !room.temporary).map(room => room.settings());
+  }
+
+  /** Bring rooms back from snapshot(); the default room only gets its settings. */
+  restore(settings) {
+    for (const { id, ...options } of settings || []) {
+      const room = this.get(id) || this.create({ id, ...options, mapRotation: null }).room;
+      if (!room) continue;
+      room.rules = options.rules || null;
+      const mapRotation = (options.mapRotation || []).filter(mapId => this.services.mapStore.isPlayable(mapId));
+      if (mapRotation.length) room.setMapRotation(mapRotation);
+    }
+  }
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32).replace(/-+$/, '');
+}
+
+module.exports = RoomManager;
@@ -0,0 +1,33 @@
+/**
+ * Shared action submission for POST /action and WebSocket action messages.
+ * Both transports authenticate first, then hand the payload here so they
+ * validate identically.
+ *
+ * Returns { status, body } — an HTTP status plus the JSON body to send — and,
+ * on success, the engine the action was queued on.
+ */
+module.exports = function createActionHandler(context) {
+  const { playerRegistry, getEngineForPlayer } = context;
+
+  return function submitPlayerAction(playerId, payload) {
+    const { action, direction, angle, seq, weapon } = payload || {};
+
+    if (!playerId) return { status: 400, body: { error: 'player_id is required' } };
+    if (!action)   return { status: 400, body: { error: 'action is required' } };
+
+    if (!playerRegistry.has(playerId)) {
+      return { status: 404, body: { error: 'Player not found. Did you register?' } };
+    }
+
+    const engine = getEngineForPlayer(playerId);
+    if (!engine) {
+      return { status: 503, body: { error: 'No active game session' } };
+    }
+
+    const parsedAngle = typeof angle === 'number' ? angle : null;
+    const result = engine.submitAction(playerId, action, direction, parsedAngle, seq, weapon);
+    if (result.error) return { status: 400, body: result };
+
+    return { status: 200, body: result, engine };
+  };
+};
@@ -1,14 +1,137 @@
 const express = require('express');
+const SeededRandom = require('../game/SeededRandom');
+const Bot = require('../game/Bot');
+const Player = require('../game/Player');
+const SafeZone = require('../game/SafeZone');
+const MapGenerator = require('../game/MapGenerator');
+const { isValidFormat } = require('../game/teams');
+const {
+  GAME_MODES, DEFAULT_GAME_MODE, isValidGameMode, validateModeOptions, listGameModes,
+} = require('../game/modes');
+const { RULE_FIELDS, validateRules, resolveRules, listRulePresets } = require('../game/rules');
+const RatingStore = require('../storage/RatingStore');
+const RoomManager = require('../rooms/RoomManager');
+const C = require('../game/constants');
+const createActionHandler = require('./actions');
+const {
+  generateToken, hashToken, tokenMatches, extractToken,
+  createPlayerAuth, createAdminAuth,
+} = require('../middleware/auth');
 const router = express.Router();
 
 // GameEngine instance is injected via factory
 module.exports = function createApiRouter(context) {
-  const { sandboxManager, playerRegistry, getEngineForPlayer, doStartBattle, doReset } = context;
+  const {
+    sandboxManager, playerRegistry, replayStore, mapStore, ratingStore, rooms, matchmaker,
+    getPlayerState, getEngineForPlayer, isInBattle, disconnectPlayer, saveRegistry, adminKey,
+  } = context;
+  const requirePlayerToken = createPlayerAuth(playerRegistry);
+  const requireAdmin = createAdminAuth(adminKey);
+  const submitPlayerAction = createActionHandler(context);
+
+  function isUsernameTaken(username) {
+    for (const info of playerRegistry.values()) {
+      if (info.username === username) return true;
+    }
+    return false;
+  }
+
+  // Shared validation for the two "add bot" routes. Returns an error string or null.
+  function validateBotRequest({ strategy, difficulty, username }) {
+    if (!Bot.isValidStrategy(strategy)) return `strategy must be one of: ${Bot.STRATEGIES.join(', ')}`;
+    if (difficulty != null && !Bot.isValidDifficulty(difficulty)) {
+      return `difficulty must be one of: ${Bot.DIFFICULTIES.join(', ')}`;
+    }
+    if (username != null && (typeof username !== 'string' || !username.trim() || username.length > 20)) {
+      return 'username must be 1–20 characters';
+    }
+    return null;
+  }
+
+  // The room a request is about: `room` in the body or query, default main.
+  // Sends a 404 and returns null for an unknown room.
+  function resolveRoom(req, res) {
+    const id = (req.body && req.body.room) || req.query.room || C.DEFAULT_ROOM;
+    const room = rooms.get(id);
+    if (!room) res.status(404).json({ error: `Unknown room: ${id}. See GET /rooms` });
+    return room;
+  }
+
+  // Own token, or the host acting for anyone (bots too) — for routes that take a player_id.
+  function requireSelfOrAdmin(req, res, next) {
+    const info = playerRegistry.get((req.body && req.body.player_id) || req.query.player_id);
+    if (info && tokenMatches(extractToken(req), info.tokenHash)) return next();
+    requireAdmin(req, res, next);
+  }
+
+  function validateRotation(rotation) {
+    if (!Array.isArray(rotation) || rotation.length === 0) return 'rotation must be a non-empty array of map ids';
+    const unknown = rotation.filter(id => !mapStore.isPlayable(id));
+    if (unknown.length > 0) return `Unknown map(s) in rotation: ${unknown.join(', ')}`;
+    return null;
+  }
+
+  // map is a file map id or "generated"; generator options imply "generated"
+  function validateMapChoice(map, generator) {
+    if (generator != null) {
+      if (typeof generator !== 'object' || Array.isArray(generator)) return 'generator must be an object';
+      if (map != null && map !== MapGenerator.GENERATED_MAP_ID) {
+        return `generator options only apply to map "${MapGenerator.GENERATED_MAP_ID}"`;
+      }
+      return MapGenerator.validateOptions(generator);
+    }
+    if (map != null && !mapStore.isPlayable(map)) return `Unknown map: ${map}. See GET /maps`;
+    return null;
+  }
+
+  function chosenMapId(map, generator) {
+    return generator != null ? MapGenerator.GENERATED_MAP_ID : map;
+  }
+
+  // Battle settings shared by POST /start and a tournament's `battle`. Returns an error string or null.
+  function validateBattleOptions({
+    seed, fogOfWar, map, rotation, generator, gameMode, respawnDelay, scoreLimit,
+    format, friendlyFire, balance, zone, pickups, rules,
+  }) {
+    if (seed != null && !SeededRandom.isValidSeed(seed)) {
+      return 'seed must be an integer from 0 to 4294967295 or a string of up to 64 characters';
+    }
+    for (const [name, value] of Object.entries({ fogOfWar, friendlyFire, balance, pickups })) {
+      if (value != null && typeof value !== 'boolean') return `${name} must be a boolean`;
+    }
+    if (zone != null && typeof zone !== 'boolean') {
+      const badZone = SafeZone.validatePhases(zone);
+      if (badZone) return `zone must be true, false or a list of phases: ${badZone}`;
+    }
+    if (gameMode != null && !isValidGameMode(gameMode)) {
+      return `gameMode must be one of ${Object.keys(GAME_MODES).join(', ')}`;
+    }
+    const badModeOptions = validateModeOptions(gameMode || DEFAULT_GAME_MODE, { respawnDelay, scoreLimit });
+    if (badModeOptions) return badModeOptions;
+    const badRules = rules != null ? validateRules(rules) : null;
+    if (badRules) return badRules;
+    if (format != null && !isValidFormat(format)) {
+      return `format must be one of ${Object.keys(C.TEAM_FORMATS).join(', ')}`;
+    }
+    if ((map != null || generator != null) && rotation != null) return 'Send either map or rotation, not both';
+    const badMap = validateMapChoice(map, generator);
+    if (badMap) return badMap;
+    return rotation != null ? validateRotation(rotation) : null;
+  }
 
   // ── POST /register ───────────────────────────
-  // Creates a private sandbox arena for the player.
+  // Creates a private sandbox arena for the player and puts them in a room's lobby.
   router.post('/register', (req, res) => {
-    const { username } = req.body;
+    const { username, seed, map, generator, rules } = req.body;
+    const room = resolveRoom(req, res);
+    if (!room) return;
+    if (seed != null && !SeededRandom.isValidSeed(seed)) {
+      return res.status(400).json({ error: 'seed must be an integer from 0 to 4294967295 or a string of up to 64 characters' });
+    }
+    const badMap = validateMapChoice(map, generator);
+    if (badMap) return res.status(400).json({ error: badMap });
+    const badRules = rules != null ? validateRules(rules) : null;
+    if (badRules) return res.status(400).json({ error: badRules });
     if (!username || typeof username !== 'string' || username.trim().length === 0) {
       return res.status(400).json({ error: 'Username is required' });
     }
@@ -19,91 +142,108 @@ module.exports = function createApiRouter(context) {
     const trimmed = username.trim();
 
     // Check global registry for duplicate usernames
-    for (const [id, info] of playerRegistry) {
-      if (info.username === trimmed) {
-        return res.status(409).json({ error: 'Username already taken', player_id: id });
-      }
+    if (isUsernameTaken(trimmed)) {
+      return res.status(409).json({ error: 'Username already taken' });
     }
 
     // Create isolated sandbox engine for this player
-    const result = sandboxManager.createForPlayer(trimmed);
+    const mapId = chosenMapId(map, generator);
+    const result = sandboxManager.createForPlayer(trimmed, {
+      seed,
+      map: mapId ? mapStore.resolve(mapId, generator, seed) : undefined,
+      rules,
+    });
     if (result.error) {
       return res.status(409).json({ error: result.error });
     }
 
-    // Store in global registry (preserving sandbox colour for battle continuity)
+    // Store in global registry (preserving sandbox colour for battle continuity).
+    // Only the token hash is kept — the plain token is shown once, right here.
+    const token = generateToken();
     playerRegistry.set(result.playerId, {
       username: trimmed,
+      room: room.id,
       ready: false,
       color: result.player.color,
+      team: null,
+      tokenHash: hashToken(token),
     });
+    saveRegistry();
 
     res.json({
       player_id: result.playerId,
+      token,
       username: trimmed,
       position: { x: result.player.x, y: result.player.y },
-      message: 'Registered! Your private sandbox is ready. Send actions to test your client.',
+      message: 'Registered! Your private sandbox is ready. Keep your token secret — every player request needs it.',
       mode: 'sandbox',
+      room: room.id,
+      seed: result.engine.seed,
+      map: result.engine.arena.mapId,
+      rules: result.engine.rules,
     });
   });
 
   // ── POST /action ─────────────────────────────
   // Routes to the player's sandbox or to the battle engine, whichever is active.
-  router.post('/action', (req, res) => {
-    const { player_id, action, direction, angle } = req.body;
-
-    if (!player_id) return res.status(400).json({ error: 'player_id is required' });
-    if (!action)    return res.status(400).json({ error: 'action is required' });
-
-    if (!playerRegistry.has(player_id)) {
-      return res.status(404).json({ error: 'Player not found. Did you register?' });
-    }
-
-    const engine = getEngineForPlayer(player_id);
-    if (!engine) {
-      return res.status(503).json({ error: 'No active game session' });
-    }
-
-    const parsedAngle = typeof angle === 'number' ? angle : null;
-    const result = engine.submitAction(player_id, action, direction, parsedAngle);
-    if (result.error) return res.status(400).json(result);
+  router.post('/action', requirePlayerToken, (req, res) => {
+    const { player_id } = req.body;
+    const { status, body, engine } = submitPlayerAction(player_id, req.body);
+    if (status !== 200) return res.status(status).json(body);
 
-    const state = engine.getPlayerState(player_id);
-    res.json({ success: true, state });
+    res.json({ ...body, state: getPlayerState(player_id) });
   });
 
   // ── GET /state ───────────────────────────────
   // With ?player_id → returns that player's sandbox or battle state.
-  // Without         → full battle state (or lobby state if no battle).
-  router.get('/state', (req, res) => {
+  // Without         → full battle state of ?room (or its lobby state if no battle);
+  //                   host-only under fog of war, where it would show hidden players.
+  router.get('/state', requirePlayerToken, (req, res) => {
     const { player_id } = req.query;
 
     if (player_id) {
       if (!playerRegistry.has(player_id)) {
         return res.status(404).json({ error: 'Player not found' });
       }
-      const engine = getEngineForPlayer(player_id);
-      if (!engine) return res.status(503).json({ error: 'No active session' });
-      const state = engine.getPlayerState(player_id);
+      if (!getEngineForPlayer(player_id)) return res.status(503).json({ error: 'No active session' });
+      const state = getPlayerState(player_id);
       if (!state) return res.status(404).json({ error: 'Player state not found' });
       return res.json(state);
     }
 
     // Full state — only meaningful during battle
-    if (context.battleActive && context.battleEngine) {
-      return res.json(context.battleEngine.getFullState());
+    const room = resolveRoom(req, res);
+    if (!room) return;
+    if (room.battleActive && room.battleEngine) {
+      const engine = room.battleEngine;
+      if (engine.fogOfWar) return requireAdmin(req, res, () => res.json(engine.getFullState()));
+      return res.json(engine.getFullState());
     }
 
     // Lobby state
-    const players = [];
-    for (const [id, info] of playerRegistry) {
-      players.push({ id, username: info.username, ready: info.ready });
-    }
-    res.json({ mode: 'lobby', players });
+    const players = room.members().map(([id, info]) => ({ id, username: info.username, ready: info.ready }));
+    res.json({ mode: 'lobby', room: room.id, players });
+  });
+
+  // ── POST /token/rotate ───────────────────────
+  // Issues a fresh token and invalidates the old one immediately, closing any
+  // socket opened with it.
+  router.post('/token/rotate', requirePlayerToken, (req, res) => {
+    const { player_id } = req.body;
+    if (!player_id) return res.status(400).json({ error: 'player_id is required' });
+
+    const info = playerRegistry.get(player_id);
+    if (!info) return res.status(404).json({ error: 'Player not found' });
+
+    const token = generateToken();
+    info.tokenHash = hashToken(token);
+    disconnectPlayer(player_id, 4001, 'Token rotated');
+    saveRegistry();
+    res.json({ success: true, player_id, token, message: 'Token rotated. The previous token no longer works.' });
   });
 
   // ── POST /ready ──────────────────────────────
-  router.post('/ready', (req, res) => {
+  router.post('/ready', requirePlayerToken, (req, res) => {
     const { player_id } = req.body;
     if (!player_id) return res.status(400).json({ error: 'player_id is required' });
 
@@ -112,80 +252,555 @@ module.exports = function createApiRouter(context) {
 
     info.ready = true;
 
-    let readyCount = 0;
-    for (const p of playerRegistry.values()) { if (p.ready) readyCount++; }
+    // Counts are for the player's own room
+    const members = rooms.roomOf(player_id).members();
+    const readyCount = members.filter(([, p]) => p.ready).length;
 
     res.json({
       success: true,
+      room: info.room,
       readyCount,
-      totalPlayers: playerRegistry.size,
-      message: `${readyCount}/${playerRegistry.size} players ready`,
+      totalPlayers: members.length,
+      message: `${readyCount}/${members.length} players ready`,
     });
   });
 
   // ── POST /start ──────────────────────────────
-  router.post('/start', (req, res) => {
-    const result = doStartBattle();
+  // Optional body: { seed, fogOfWar, map | rotation, generator, gameMode, respawnDelay, scoreLimit,
+  // format, friendlyFire, balance, zone, pickups, rules, room } — see docs/API.md §5.
+  router.post('/start', requireAdmin, (req, res) => {
+    const {
+      seed, fogOfWar, map, rotation, generator, gameMode, respawnDelay, scoreLimit,
+      format, friendlyFire, balance, zone, pickups, rules,
+    } = req.body || {};
+    const invalid = validateBattleOptions(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+    const room = resolveRoom(req, res);
+    if (!room) return;
+    if (room.tournament && room.tournament.status === 'running') {
+      return res.status(409).json({ error: 'A tournament is running — its matches start from POST /tournament/next' });
+    }
+
+    if (rotation) room.setMapRotation(rotation);
+    const result = room.startBattle({
+      seed, fogOfWar, mapId: chosenMapId(map, generator), generator, gameMode,
+      modeOptions: { respawnDelay, scoreLimit }, format, friendlyFire, balance, zone, pickups, rules,
+    });
     if (result.error) return res.status(400).json(result);
     res.json(result);
   });
 
   // ── POST /reset ──────────────────────────────
-  router.post('/reset', (req, res) => {
-    doReset();
-    res.json({ success: true, message: 'Reset complete. All players are back in their sandboxes.' });
+  router.post('/reset', requireAdmin, (req, res) => {
+    const room = resolveRoom(req, res);
+    if (!room) return;
+    room.reset();
+    res.json({ success: true, room: room.id, message: 'Reset complete. All players are back in their sandboxes.' });
   });
 
   // ── GET /debug ───────────────────────────────
-  router.get('/debug', (req, res) => {
+  // Per-player debug needs that player's token; the full battle view is host-only.
+  // Debug state shows every player, so during a fog-of-war battle it is host-only too.
+  router.get('/debug', requirePlayerToken, (req, res, next) => {
+    if (req.query.player_id) return next();
+    requireAdmin(req, res, next);
+  }, (req, res) => {
     const { player_id } = req.query;
 
     if (player_id) {
+      if (!playerRegistry.has(player_id)) {
+        return res.status(404).json({ error: 'Player not found' });
+      }
       const engine = getEngineForPlayer(player_id);
       if (!engine) return res.status(404).json({ error: 'Player not found or no active session' });
+      if (engine.fogOfWar && isInBattle(player_id)) return requireAdmin(req, res, () => res.json(engine.getDebugState()));
       return res.json(engine.getDebugState());
     }
 
-    if (context.battleActive && context.battleEngine) {
-      return res.json(context.battleEngine.getDebugState());
+    const room = resolveRoom(req, res);
+    if (!room) return;
+    if (room.battleActive && room.battleEngine) {
+      return res.json(room.battleEngine.getDebugState());
     }
 
     res.json({
       mode: 'lobby',
+      room: room.id,
       message: 'No active battle. Use GET /debug?player_id=YOUR_ID for sandbox debug.',
-      registeredPlayers: playerRegistry.size,
+      registeredPlayers: room.members().length,
     });
   });
 
   // ── GET /players ─────────────────────────────
+  // Everyone on the server, or only the members of ?room. `mode` is that room's (default main).
   router.get('/players', (req, res) => {
+    const room = resolveRoom(req, res);
+    if (!room) return;
     const players = [];
-    for (const [id, info] of playerRegistry) {
+    for (const [id, info] of req.query.room ? room.members() : playerRegistry) {
       const engine = getEngineForPlayer(id);
       const player = engine?.getPlayer(id);
       players.push({
         id,
         username: info.username,
+        room: info.room,
         ready: info.ready,
         color: info.color,
         alive: player?.alive ?? true,
         hp: player?.hp ?? 100,
-        mode: context.battleActive ? 'battle' : 'sandbox',
+        mode: isInBattle(id) ? 'battle' : 'sandbox',
+        isBot: !!info.isBot,
+        team: player?.team || info.team || null,
       });
     }
-    res.json({ players, mode: context.battleActive ? 'battle' : 'lobby' });
+    res.json({ players, mode: room.battleActive ? 'battle' : 'lobby' });
+  });
+
+  // ── GET /players/:id/profile ─────────────────
+  // Rating, rank, career totals and recent battles of a player id — registered
+  // now, or removed but rated before.
+  router.get('/players/:id/profile', (req, res) => {
+    const { id } = req.params;
+    const info = playerRegistry.get(id);
+    const profile = ratingStore.profile(id)
+      || (info && { ...RatingStore.blank(id, info.username, !!info.isBot), rank: null, winRate: 0, lastDelta: 0 });
+    if (!profile) return res.status(404).json({ error: 'Player not found' });
+    res.json({ player_id: id, connected: !!info, ...profile });
+  });
+
+  // ── GET /leaderboard ─────────────────────────
+  // ?limit=1–100 (default 20), ?bots=true to rank bots too.
+  router.get('/leaderboard', (req, res) => {
+    const limit = req.query.limit != null ? Number(req.query.limit) : C.LEADERBOARD_DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > C.LEADERBOARD_MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be an integer from 1 to ${C.LEADERBOARD_MAX_LIMIT}` });
+    }
+    res.json({ players: ratingStore.leaderboard({ limit, bots: req.query.bots === 'true' }) });
   });
 
   // ── DELETE /player/:id ───────────────────────
-  router.delete('/player/:id', (req, res) => {
+  // Host kick, or a player removing themselves with their own token.
+  router.delete('/player/:id', (req, res, next) => {
+    const info = playerRegistry.get(req.params.id);
+    if (info && tokenMatches(extractToken(req), info.tokenHash)) return next();
+    requireAdmin(req, res, next);
+  }, (req, res) => {
     const { id } = req.params;
     if (!playerRegistry.has(id)) {
       return res.status(404).json({ error: 'Player not found' });
     }
+    rooms.roomOf(id).withdrawFromTournament(id);
+    matchmaker.remove(id);
     playerRegistry.delete(id);
     sandboxManager.remove(id);
+    saveRegistry();
     res.json({ success: true, message: 'Player removed' });
   });
 
+  // ── POST /team ───────────────────────────────
+  // Pick a team for the next team battle: { player_id, team: "red" | "blue" | null }.
+  // Players set their own with their token; the host can set anyone's (bots too).
+  router.post('/team', requireSelfOrAdmin, (req, res) => {
+    const { player_id, team } = req.body || {};
+    if (!player_id) return res.status(400).json({ error: 'player_id is required' });
+    if (team !== null && !C.TEAMS.includes(team)) {
+      return res.status(400).json({ error: `team must be one of ${C.TEAMS.join(', ')}, or null for auto` });
+    }
+    const info = playerRegistry.get(player_id);
+    if (!info) return res.status(404).json({ error: 'Player not found' });
+
+    info.team = team;
+    res.json({
+      success: true,
+      team,
+      message: team ? `Joined ${team} for the next team battle` : 'Team will be auto-assigned',
+    });
+  });
+
+  // ── GET /bots ────────────────────────────────
+  // Bots on the battle rosters plus the strategies/difficulties on offer.
+  router.get('/bots', (req, res) => {
+    const bots = [];
+    for (const [id, info] of playerRegistry) {
+      if (!info.isBot) continue;
+      bots.push({ id, username: info.username, room: info.room, strategy: info.strategy, difficulty: info.difficulty, color: info.color, team: info.team || null });
+    }
+    res.json({ bots, strategies: Bot.STRATEGIES, difficulties: Bot.DIFFICULTIES });
+  });
+
+  // ── POST /bots ───────────────────────────────
+  // Adds a bot to a room's battle roster (`room`, default main); it joins from the next POST /start.
+  router.post('/bots', requireAdmin, (req, res) => {
+    const { strategy, difficulty = 'normal', username, team = null } = req.body || {};
+    const invalid = validateBotRequest({ strategy, difficulty, username });
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (team !== null && !C.TEAMS.includes(team)) {
+      return res.status(400).json({ error: `team must be one of ${C.TEAMS.join(', ')}` });
+    }
+
+    const room = resolveRoom(req, res);
+    if (!room) return;
+
+    const id = Bot.generateId();
+    const name = username ? username.trim() : Bot.defaultName(strategy, id);
+    if (isUsernameTaken(name)) return res.status(409).json({ error: 'Username already taken' });
+
+    playerRegistry.set(id, {
+      username: name,
+      room: room.id,
+      ready: true,
+      color: Player.randomColor(new SeededRandom()),
+      isBot: true,
+      strategy,
+      difficulty,
+      team,
+    });
+    saveRegistry();
+    res.json({
+      success: true,
+      bot: { id, username: name, room: room.id, strategy, difficulty, team },
+      message: room.battleActive ? 'Bot added — it joins from the next battle.' : 'Bot added to the roster.',
+    });
+  });
+
+  // ── DELETE /bots/:id ─────────────────────────
+  router.delete('/bots/:id', requireAdmin, (req, res) => {
+    const info = playerRegistry.get(req.params.id);
+    if (!info || !info.isBot) return res.status(404).json({ error: 'Bot not found' });
+    rooms.roomOf(req.params.id).withdrawFromTournament(req.params.id);
+    matchmaker.remove(req.params.id);
+    playerRegistry.delete(req.params.id);
+    saveRegistry();
+    res.json({ success: true, message: 'Bot removed from the roster' });
+  });
+
+  // ── POST /sandbox/bots ───────────────────────
+  // Adds a practice bot to the caller's private sandbox.
+  router.post('/sandbox/bots', requirePlayerToken, (req, res) => {
+    const { player_id, strategy, difficulty = 'normal', username } = req.body || {};
+    if (!player_id) return res.status(400).json({ error: 'player_id is required' });
+    const invalid = validateBotRequest({ strategy, difficulty, username });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const sandbox = sandboxManager.get(player_id);
+    if (!sandbox) return res.status(404).json({ error: 'Player not found' });
+
+    const result = sandbox.addBot(strategy, { difficulty, username: username && username.trim() });
+    if (result.error) return res.status(409).json({ error: result.error });
+
+    const { player } = result;
+    res.json({
+      success: true,
+      bot: { id: player.id, username: player.username, strategy, difficulty, x: player.x, y: player.y },
+    });
+  });
+
+  // ── POST /sandbox/map ────────────────────────
+  // Practise on another map: rebuilds the sandbox arena and respawns everyone.
+  router.post('/sandbox/map', requirePlayerToken, (req, res) => {
+    const { player_id, map, generator } = req.body || {};
+    if (!player_id) return res.status(400).json({ error: 'player_id is required' });
+    const mapId = chosenMapId(map, generator);
+    if (!mapId) return res.status(400).json({ error: 'map is required. See GET /maps' });
+    const badMap = validateMapChoice(map, generator);
+    if (badMap) return res.status(400).json({ error: badMap });
+
+    const sandbox = sandboxManager.get(player_id);
+    if (!sandbox) return res.status(404).json({ error: 'Player not found' });
+
+    const result = sandbox.loadMap(mapStore.resolve(mapId, generator));
+    if (result.error) return res.status(409).json(result);
+    res.json({ ...result, state: sandbox.getPlayerState(player_id) });
+  });
+
+  // ── DELETE /sandbox/bots/:botId ──────────────
+  router.delete('/sandbox/bots/:botId', requirePlayerToken, (req, res) => {
+    const playerId = (req.body && req.body.player_id) || req.query.player_id;
+    if (!playerId) return res.status(400).json({ error: 'player_id is required' });
+
+    const sandbox = sandboxManager.get(playerId);
+    if (!sandbox) return res.status(404).json({ error: 'Player not found' });
+    if (!sandbox.bots.has(req.params.botId)) return res.status(404).json({ error: 'Bot not found in your sandbox' });
+
+    sandbox.removePlayer(req.params.botId);
+    res.json({ success: true, message: 'Bot removed from your sandbox' });
+  });
+
+  // ── GET /modes ───────────────────────────────
+  // Game modes a battle can be started in (POST /start { gameMode }).
+  router.get('/modes', (req, res) => {
+    res.json({ modes: listGameModes() });
+  });
+
+  // ── GET /rules ───────────────────────────────
+  router.get('/rules', (req, res) => {
+    res.json({ presets: listRulePresets(), fields: RULE_FIELDS });
+  });
+
+  // ── GET /rooms ───────────────────────────────
+  router.get('/rooms', (req, res) => {
+    res.json({ rooms: rooms.list().map(room => room.toJSON()) });
+  });
+
+  // ── POST /rooms ──────────────────────────────
+  // Open a room: { name, id, rules, rotation }. Its big screen is /bigscreen?room=<id>.
+  router.post('/rooms', requireAdmin, (req, res) => {
+    const { name, id, rules, rotation } = req.body || {};
+    if (typeof name !== 'string' || !name.trim() || name.length > C.ROOM_NAME_MAX_LENGTH) {
+      return res.status(400).json({ error: `name must be 1–${C.ROOM_NAME_MAX_LENGTH} characters` });
+    }
+    if (id != null && !RoomManager.isValidId(id)) {
+      return res.status(400).json({ error: 'id must be up to 32 lowercase letters, digits and dashes, not starting with a dash' });
+    }
+    const badRules = rules != null ? validateRules(rules) : null;
+    if (badRules) return res.status(400).json({ error: badRules });
+    const badRotation = rotation != null ? validateRotation(rotation) : null;
+    if (badRotation) return res.status(400).json({ error: badRotation });
+
+    const result = rooms.create({ id, name: name.trim(), rules, mapRotation: rotation });
+    if (result.error) return res.status(409).json(result);
+    saveRegistry();
+    res.json({ success: true, room: result.room.toJSON() });
+  });
+
+  // ── GET /rooms/:id ───────────────────────────
+  // The summary plus the full ruleset, map rotation and roster.
+  router.get('/rooms/:id', (req, res) => {
+    const room = rooms.get(req.params.id);
+    if (!room) return res.status(404).json({ error: `Unknown room: ${req.params.id}` });
+    res.json({
+      ...room.toJSON(),
+      rules: resolveRules(room.rules),
+      rotation: room.getMapRotation(),
+      players: room.getLobbyState().players,
+    });
+  });
+
+  // ── DELETE /rooms/:id ────────────────────────
+  // Ends the room's battle and tournament and moves its members to the default room.
+  router.delete('/rooms/:id', requireAdmin, (req, res) => {
+    if (!rooms.get(req.params.id)) return res.status(404).json({ error: `Unknown room: ${req.params.id}` });
+    const result = rooms.remove(req.params.id);
+    if (result.error) return res.status(400).json(result);
+    saveRegistry();
+    res.json({ ...result, message: `Room closed. Its players are back in ${result.moved}.` });
+  });
+
+  // ── POST /rooms/:id/join ─────────────────────
+  // { player_id } — players move themselves with their token; the host can move anyone (bots too).
+  router.post('/rooms/:id/join', requireSelfOrAdmin, (req, res) => {
+    const { player_id } = req.body || {};
+    if (!player_id) return res.status(400).json({ error: 'player_id is required' });
+    if (!playerRegistry.has(player_id)) return res.status(404).json({ error: 'Player not found' });
+    if (!rooms.get(req.params.id)) return res.status(404).json({ error: `Unknown room: ${req.params.id}` });
+
+    const result = rooms.move(player_id, req.params.id);
+    if (result.error) return res.status(409).json(result);
+    saveRegistry();
+    res.json({ success: true, room: result.room.toJSON(), message: `Joined ${result.room.name}` });
+  });
+
+  // ── POST /rooms/:id/leave ────────────────────
+  // { player_id } — back to the default room.
+  router.post('/rooms/:id/leave', requireSelfOrAdmin, (req, res) => {
+    const { player_id } = req.body || {};
+    if (!player_id) return res.status(400).json({ error: 'player_id is required' });
+    const info = playerRegistry.get(player_id);
+    if (!info) return res.status(404).json({ error: 'Player not found' });
+    if (info.room !== req.params.id) return res.status(409).json({ error: `Not in room ${req.params.id}` });
+    if (info.room === C.DEFAULT_ROOM) return res.status(400).json({ error: 'Everyone not in another room is in the default room' });
+
+    const result = rooms.move(player_id, C.DEFAULT_ROOM);
+    if (result.error) return res.status(409).json(result);
+    saveRegistry();
+    res.json({ success: true, room: result.room.toJSON(), message: `Back in ${result.room.name}` });
+  });
+
+  // ── GET /queue ───────────────────────────────
+  // Who is waiting for which kind of match, and the matches formed from the queue.
+  router.get('/queue', (req, res) => {
+    res.json(matchmaker.toJSON());
+  });
+
+  // ── POST /queue ──────────────────────────────
+  // Find a match: { player_id, size, ranked }. Players queue themselves with their token;
+  // the host can queue anyone (bots too). Position and estimated wait show in the player's state.
+  router.post('/queue', requireSelfOrAdmin, (req, res) => {
+    const { player_id, size = C.MATCHMAKING_DEFAULT_SIZE, ranked = false } = req.body || {};
+    if (!player_id) return res.status(400).json({ error: 'player_id is required' });
+    if (!Number.isInteger(size) || size < C.MATCHMAKING_MIN_SIZE || size > C.MATCHMAKING_MAX_SIZE) {
+      return res.status(400).json({ error: `size must be an integer from ${C.MATCHMAKING_MIN_SIZE} to ${C.MATCHMAKING_MAX_SIZE}` });
+    }
+    if (typeof ranked !== 'boolean') return res.status(400).json({ error: 'ranked must be a boolean' });
+    if (!playerRegistry.has(player_id)) return res.status(404).json({ error: 'Player not found' });
+
+    const result = matchmaker.enqueue(player_id, { size, ranked });
+    if (result.error) return res.status(409).json(result);
+    res.json(result);
+  });
+
+  // ── DELETE /queue ────────────────────────────
+  // Leave the queue (player_id in the body or query), or a match still counting down.
+  router.delete('/queue', requireSelfOrAdmin, (req, res) => {
+    const playerId = (req.body && req.body.player_id) || req.query.player_id;
+    if (!playerId) return res.status(400).json({ error: 'player_id is required' });
+    if (!playerRegistry.has(playerId)) return res.status(404).json({ error: 'Player not found' });
+
+    const result = matchmaker.dequeue(playerId);
+    if (result.error) return res.status(409).json(result);
+    res.json({ success: true, message: 'Left the queue' });
+  });
+
+  // ── POST /tournament ─────────────────────────
+  // 1v1 bracket over several battles: { bracket, players, seeding, seed, autoAdvance, battle }.
+  // `battle` takes the POST /start settings that apply to a 1v1 (no format or rotation).
+  // Runs in `room` (default main) between its members.
+  router.post('/tournament', requireAdmin, (req, res) => {
+    const { bracket, players, seeding = 'random', seed, autoAdvance = true, battle = {} } = req.body || {};
+    if (!C.TOURNAMENT_BRACKETS.includes(bracket)) {
+      return res.status(400).json({ error: `bracket must be one of ${C.TOURNAMENT_BRACKETS.join(', ')}` });
+    }
+    if (!C.TOURNAMENT_SEEDINGS.includes(seeding)) {
+      return res.status(400).json({ error: `seeding must be one of ${C.TOURNAMENT_SEEDINGS.join(', ')}` });
+    }
+    if (seed != null && !SeededRandom.isValidSeed(seed)) {
+      return res.status(400).json({ error: 'seed must be an integer from 0 to 4294967295 or a string of up to 64 characters' });
+    }
+    if (typeof autoAdvance !== 'boolean') return res.status(400).json({ error: 'autoAdvance must be a boolean' });
+    if (!battle || typeof battle !== 'object' || Array.isArray(battle)) {
+      return res.status(400).json({ error: 'battle must be an object of battle settings' });
+    }
+    if (battle.format != null || battle.rotation != null) {
+      return res.status(400).json({ error: 'Tournament matches are 1v1: battle takes no format or rotation' });
+    }
+    const badBattle = validateBattleOptions(battle);
+    if (badBattle) return res.status(400).json({ error: `battle: ${badBattle}` });
+    if (battle.gameMode && GAME_MODES[battle.gameMode].requiresTeams) {
+      return res.status(400).json({ error: `${battle.gameMode} is a team mode; tournament matches are 1v1` });
+    }
+
+    const room = resolveRoom(req, res);
+    if (!room) return;
+
+    // Default entrants: everyone in the room, bots included, in registration order
+    const ids = players != null ? players : room.members().map(([id]) => id);
+    if (!Array.isArray(ids)) return res.status(400).json({ error: 'players must be an array of player ids' });
+    if (ids.length < C.TOURNAMENT_MIN_PLAYERS || ids.length > C.TOURNAMENT_MAX_PLAYERS) {
+      return res.status(400).json({ error: `A tournament needs ${C.TOURNAMENT_MIN_PLAYERS}–${C.TOURNAMENT_MAX_PLAYERS} players` });
+    }
+    if (new Set(ids).size !== ids.length) return res.status(400).json({ error: 'players must not repeat' });
+    const unknown = ids.filter(id => !playerRegistry.has(id));
+    if (unknown.length > 0) return res.status(404).json({ error: `Unknown player(s): ${unknown.join(', ')}` });
+    const outside = ids.filter(id => playerRegistry.get(id).room !== room.id);
+    if (outside.length > 0) return res.status(400).json({ error: `Not in room ${room.id}: ${outside.join(', ')}` });
+
+    const {
+      seed: battleSeed, fogOfWar, map, generator, gameMode, respawnDelay, scoreLimit, friendlyFire, zone, pickups, rules,
+    } = battle;
+    const result = room.startTournament({
+      playerIds: ids, bracket, seeding, seed, autoAdvance,
+      battle: {
+        seed: battleSeed, fogOfWar, mapId: chosenMapId(map, generator), generator, gameMode,
+        modeOptions: { respawnDelay, scoreLimit }, friendlyFire, zone, pickups, rules,
+      },
+    });
+    if (result.error) return res.status(409).json(result);
+    res.json(result);
+  });
+
+  // ── GET /tournament ──────────────────────────
+  // The room's current (or last finished) tournament: players, seeds, matches, results.
+  router.get('/tournament', (req, res) => {
+    const room = resolveRoom(req, res);
+    if (!room) return;
+    if (!room.tournament) return res.status(404).json({ error: 'No tournament. Start one with POST /tournament' });
+    res.json(room.tournament.toJSON());
+  });
+
+  // ── POST /tournament/next ────────────────────
+  // Start the next match now — skips the intermission, or resumes after a /reset or with autoAdvance off.
+  router.post('/tournament/next', requireAdmin, (req, res) => {
+    const room = resolveRoom(req, res);
+    if (!room) return;
+    const result = room.startNextMatch();
+    if (result.error) return res.status(409).json(result);
+    res.json({ ...result, tournament: room.tournament.toJSON() });
+  });
+
+  // ── DELETE /tournament ───────────────────────
+  router.delete('/tournament', requireAdmin, (req, res) => {
+    const room = resolveRoom(req, res);
+    if (!room) return;
+    const result = room.cancelTournament();
+    if (result.error) return res.status(404).json(result);
+    res.json({ success: true, message: 'Tournament cancelled' });
+  });
+
+  // ── GET /maps ────────────────────────────────
+  // Every map, plus the rotation of ?room (default main).
+  router.get('/maps', (req, res) => {
+    const room = resolveRoom(req, res);
+    if (!room) return;
+    res.json({ maps: mapStore.list(), rotation: room.getMapRotation() });
+  });
+
+  // ── GET /maps/:id ────────────────────────────
+  // Full definition plus a text preview. For /maps/generated the query string
+  // holds the generator options, so a layout can be checked before /start.
+  router.get('/maps/:id', (req, res) => {
+    const { id } = req.params;
+    if (!mapStore.isPlayable(id)) return res.status(404).json({ error: `Unknown map: ${id}` });
+
+    let generator;
+    if (id === MapGenerator.GENERATED_MAP_ID) {
+      generator = parseGeneratorQuery(req.query);
+      const invalid = MapGenerator.validateOptions(generator);
+      if (invalid) return res.status(400).json({ error: invalid });
+    }
+    const map = mapStore.resolve(id, generator);
+    res.json({ map, preview: MapGenerator.render(map) });
+  });
+
+  // ── GET /replays ─────────────────────────────
+  // Summaries of recorded battles, newest first.
+  router.get('/replays', (req, res) => {
+    res.json({ replays: replayStore.list() });
+  });
+
+  // ── GET /replays/:id ─────────────────────────
+  // Full tick-by-tick recording (see BattleRecorder for the frame layout).
+  router.get('/replays/:id', async (req, res) => {
+    const recording = await replayStore.get(req.params.id);
+    if (!recording) return res.status(404).json({ error: 'Replay not found' });
+    res.json(recording);
+  });
+
+  // ── GET /replays/:id/verify ──────────────────
+  // Re-simulates the recording from its seed and action log and reports the
+  // first tick where the result differs from what was recorded, if any.
+  // Host-only: a long battle keeps a worker thread busy for seconds.
+  router.get('/replays/:id/verify', requireAdmin, async (req, res) => {
+    let report;
+    try {
+      report = await replayStore.verify(req.params.id);
+    } catch (err) {
+      return res.status(500).json({ error: `Verification failed: ${err.message}` });
+    }
+    if (!report) return res.status(404).json({ error: 'Replay not found' });
+    res.json(report);
+  });
+
   return router;
 };
+
+// Query strings are text: numeric options (and all-digit seeds) become numbers
+// so /maps/generated?seed=7 previews the same layout as { "seed": 7 } in /start.
+function parseGeneratorQuery(query) {
+  const options = {};
+  for (const key of ['seed', 'symmetry', 'density', 'width', 'height', 'spawns', 'spawnSpacing']) {
+    const value = query[key];
+    if (value == null || value === '') continue;
+    options[key] = (key === 'symmetry' || key === 'density' || !/^\d+$/.test(value)) ? value : Number(value);
+  }
+  return options;
+}
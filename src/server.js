@@ -1,14 +1,30 @@
 const express = require('express');
+const fs = require('fs');
 const http = require('http');
 const { WebSocketServer } = require('ws');
 const path = require('path');
-const GameEngine = require('./game/GameEngine');
 const SandboxManager = require('./game/SandboxManager');
+const ReplayStore = require('./storage/ReplayStore');
+const MapStore = require('./storage/MapStore');
+const RatingStore = require('./storage/RatingStore');
+const RegistryStore = require('./storage/RegistryStore');
+const RoomManager = require('./rooms/RoomManager');
+const Matchmaker = require('./rooms/Matchmaker');
+const SafeZone = require('./game/SafeZone');
+const { diffState } = require('./game/delta');
+const C = require('./game/constants');
 const createApiRouter = require('./routes/api');
-const { rateLimiter } = require('./middleware/rateLimiter');
+const { rateLimiter, checkRateLimit, RATE_LIMIT_ERROR } = require('./middleware/rateLimiter');
+const createActionHandler = require('./routes/actions');
+const { verifyPlayerToken, generateToken, hashToken, tokenMatches } = require('./middleware/auth');
+const config = require('./config');
 
 const PORT = process.env.PORT || 3000;
 
+// No admin key configured → generate one for this run and print it at startup
+const adminKeyGenerated = !config.adminKey;
+const adminKey = config.adminKey || generateToken();
+
 // ── App Setup ─────────────────────────────────────────────────────────────────
 const app = express();
 const server = http.createServer(app);
@@ -17,7 +33,7 @@ const server = http.createServer(app);
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Key');
   if (req.method === 'OPTIONS') return res.sendStatus(204); // preflight fast-path
   next();
 });
@@ -28,124 +44,330 @@ app.use(express.static(path.join(__dirname, 'views')));
 // ── Game State ────────────────────────────────────────────────────────────────
 //  playerRegistry  → global source of truth for all registered players
 //  sandboxManager  → one isolated GameEngine per player (sandbox / test mode)
-//  battleEngine    → single shared arena for battle, null when not active
-const playerRegistry = new Map(); // playerId → { username, ready, color }
-const sandboxManager = new SandboxManager();
-let battleEngine = null;
-let battleActive = false;
+//  rooms           → lobbies, each with its own battle, map rotation and tournament
+//  matchmaker      → queue that groups players into matches, each played in a room of its own
+//  replayStore     → recordings of past battles on disk
+//  mapStore        → arena layouts from the maps directory
+//  ratingStore     → Elo ratings and career totals, rated after every finished battle
+//  registryStore   → players, rooms and sandbox settings on disk, restored at boot
+if (config.zonePhases) {
+  const invalid = SafeZone.validatePhases(config.zonePhases);
+  if (invalid) throw new Error(`Invalid zonePhases in config: ${invalid}`);
+}
+
+const playerRegistry = new Map(); // playerId → { username, room, ready, color, team, tokenHash } | bot entry (see POST /bots)
+const sandboxManager = new SandboxManager({ fogOfWar: config.fogOfWar });
+const replayStore = new ReplayStore(config.replayDir);
+const mapStore = new MapStore(config.mapDir);
+const ratingStore = new RatingStore(config.ratingsFile);
+const registryStore = new RegistryStore(config.registryFile);
+const wsClients = new Set();
+
+// Map ids a new room's battles cycle through when no map is named
+let defaultRotation = config.mapRotation.filter(id => mapStore.isPlayable(id));
+if (defaultRotation.length === 0) defaultRotation = mapStore.defaultRotation();
 
-// ── Helpers ───────────────────────────────────────────────────────────────────
+const pendingSaves = new Set(); // replay writes still in flight — shutdown waits for them
+
+/**
+ * Returns the replay id, or null when the engine had nothing recorded. Battles
+ * end inside a tick, so the write (a long battle serializes to megabytes) is
+ * left until after it.
+ */
+function saveRecording(engine, status) {
+  const recording = engine.recorder && engine.recorder.finish(engine, status);
+  if (!recording) return null;
+  const saving = new Promise(resolve => setImmediate(resolve))
+    .then(() => replayStore.save(recording))
+    .catch(err => console.error(`Failed to save replay ${recording.id}: ${err.message}`));
+  pendingSaves.add(saving);
+  saving.then(() => pendingSaves.delete(saving));
+  return recording.id;
+}
+
+const rooms = new RoomManager({
+  playerRegistry, sandboxManager, mapStore, ratingStore, config, wsClients, defaultRotation, saveRecording, sendState,
+});
+const matchmaker = new Matchmaker(rooms, { playerRegistry, ratingStore });
 
-function getEngineForPlayer(playerId) {
-  if (battleActive && battleEngine) return battleEngine;
-  return sandboxManager.get(playerId);
+/** The player's state from whichever engine they are in, plus their queue status when queued. */
+function getPlayerState(playerId) {
+  const engine = rooms.getEngineForPlayer(playerId);
+  const state = engine && engine.getPlayerState(playerId);
+  if (!state) return null;
+  const queue = matchmaker.statusOf(playerId);
+  if (queue) state.queue = queue;
+  return state;
 }
 
-function getLobbyState() {
+// ── Persistence ───────────────────────────────────────────────────────────────
+// The registry, the rooms and every sandbox's settings are saved so ids, tokens
+// and room memberships survive a redeploy. The API saves right after each
+// registration, removal, token rotation and room change; everything else
+// (ready flags, teams, sandbox settings) is picked up by a snapshot every
+// C.REGISTRY_SNAPSHOT_MS, so a crash loses at most that much of it. Sandboxes
+// come back fresh (new spawns, no practice bots); battles and tournaments are
+// not resumed — see shutdown(). Match rooms are temporary and not saved, so a
+// player in one is saved in the room they queued from.
+
+function snapshotRegistry() {
   const players = [];
+  const sandboxes = {};
   for (const [id, info] of playerRegistry) {
-    players.push({ id, username: info.username, ready: info.ready, color: info.color });
+    players.push({ id, ...info, room: matchmaker.originOf(id) || info.room });
+    const settings = sandboxManager.settingsOf(id);
+    if (settings) sandboxes[id] = settings;
   }
-  return { mode: 'lobby', tick: 0, players, arena: null, projectiles: [], winner: null };
+  return { players, sandboxes, rooms: rooms.snapshot() };
 }
 
-function doStartBattle() {
-  if (battleActive) return { error: 'Battle already in progress' };
-  if (playerRegistry.size === 0) return { error: 'No players registered' };
-
-  const engine = new GameEngine();
-
-  // Register every player preserving their sandbox ID and colour
-  for (const [playerId, info] of playerRegistry) {
-    engine.registerPlayer(info.username, playerId, info.color);
+function saveRegistry() {
+  try {
+    registryStore.save(snapshotRegistry());
+  } catch (err) {
+    console.error(`Failed to save the registry: ${err.message}`);
   }
+}
 
-  const result = engine.startBattle();
-  if (result.error) return result;
+function restoreRegistry() {
+  const snapshot = registryStore.load();
+  if (!snapshot) return 0;
+  rooms.restore(snapshot.rooms);
+  for (const { id, ...info } of snapshot.players || []) {
+    if (!rooms.get(info.room)) info.room = C.DEFAULT_ROOM;
+    if (!info.isBot) {
+      const settings = (snapshot.sandboxes || {})[id] || {};
+      const result = sandboxManager.createForPlayer(info.username, { ...settings, id, color: info.color });
+      if (result.error) {
+        console.error(`Could not restore ${info.username}: ${result.error}`);
+        continue;
+      }
+    }
+    playerRegistry.set(id, info);
+  }
+  return playerRegistry.size;
+}
 
-  battleEngine = engine;
-  battleActive = true;
+const restoredPlayers = restoreRegistry();
+ratingStore.adoptLegacy(playerRegistry);
+const registryTimer = setInterval(saveRegistry, C.REGISTRY_SNAPSHOT_MS);
 
-  // Broadcast on every battle tick
-  battleEngine.onStateUpdate = (fullState) => {
-    for (const client of wsClients) {
-      if (client.ws.readyState !== 1) continue;
-      try {
-        if (client.type === 'bigscreen') {
-          client.ws.send(JSON.stringify({ type: 'state', data: fullState }));
-        } else if (client.type === 'player' && client.playerId) {
-          const pState = battleEngine.getPlayerState(client.playerId);
-          if (pState) client.ws.send(JSON.stringify({ type: 'state', data: pState }));
-        }
-      } catch (_) { /* stale connection */ }
-    }
-  };
+let shuttingDown = false;
 
-  return result;
-}
+/**
+ * SIGTERM (a redeploy) or Ctrl-C: save the registry as it stands, end every
+ * running battle as aborted (its replay is kept), wait for pending replay and
+ * rating writes, then exit.
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`\n  ${signal} received — saving state and shutting down`);
 
-function doReset() {
-  if (battleEngine) {
-    battleEngine._stopTickLoop();
-    battleEngine = null;
+  clearInterval(registryTimer);
+  matchmaker.stop();
+  saveRegistry();               // before reset() clears the ready flags
+  for (const room of rooms.list()) {
+    if (room.tournament) room.cancelTournament();
+    if (room.battleEngine) room.reset();
   }
-  battleActive = false;
 
-  for (const [playerId, info] of playerRegistry) {
-    const sandbox = sandboxManager.get(playerId);
-    if (sandbox) sandbox.resetToLobby();
-    info.ready = false;
+  for (const client of wsClients) {
+    try { client.ws.close(1012, 'Server restarting'); } catch (_) { /* already gone */ }
   }
+  await Promise.all([...pendingSaves, ratingStore.flush()]);
+  server.close();
+  process.exit(0);
 }
 
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // ── WebSocket ─────────────────────────────────────────────────────────────────
 const wss = new WebSocketServer({ server });
-const wsClients = new Set();
 
 wss.on('connection', (ws, req) => {
   const url = new URL(req.url, `http://localhost:${PORT}`);
   const type = url.searchParams.get('type') || 'bigscreen';
   const playerId = url.searchParams.get('player_id') || null;
+  const roomId = url.searchParams.get('room') || C.DEFAULT_ROOM;
+  const protocol = Number(url.searchParams.get('protocol') || 1);
+
+  if (!C.WS_PROTOCOLS.includes(protocol)) {
+    ws.send(JSON.stringify({ type: 'error', error: `Unsupported protocol. Use one of ${C.WS_PROTOCOLS.join(', ')}` }));
+    ws.close(4400, 'Unsupported protocol');
+    return;
+  }
+
+  // Player feeds are private: browsers cannot set headers on a WebSocket,
+  // so the token travels as ?token=. 4401/4403 mirror the HTTP status codes.
+  if (type === 'player' && playerId) {
+    const info = playerRegistry.get(playerId);
+    const failure = info
+      ? verifyPlayerToken(info, url.searchParams.get('token'))
+      : { status: 404, error: 'Player not found' };
+    if (failure) {
+      ws.send(JSON.stringify({ type: 'error', error: failure.error }));
+      ws.close(4000 + failure.status, failure.error);
+      return;
+    }
+  }
+
+  // Big screens follow one room (?room=, default main); player feeds follow the player
+  if (type === 'bigscreen' && !rooms.get(roomId)) {
+    ws.send(JSON.stringify({ type: 'error', error: `Unknown room: ${roomId}` }));
+    ws.close(4404, 'Unknown room');
+    return;
+  }
+
+  // ?key= is the admin key, which big screens need to watch fog-of-war battles
+  const key = url.searchParams.get('key');
+  if (key && !tokenMatches(key, hashToken(adminKey))) {
+    ws.send(JSON.stringify({ type: 'error', error: 'Invalid admin key' }));
+    ws.close(4403, 'Invalid admin key');
+    return;
+  }
 
-  const client = { ws, type, playerId };
+  const client = {
+    ws, type, playerId, protocol,
+    room: type === 'bigscreen' ? roomId : null,
+    admin: !!key,
+    fogged: false,        // told the battle is hidden from it (see sendState)
+    seq: 0,               // protocol 2: last frame number sent
+    lastFrame: null,      // protocol 2: the state deltas are taken against
+    sinceKeyframe: 0,
+  };
   wsClients.add(client);
 
   sendToClient(client);
 
+  ws.on('message', (raw) => handleClientMessage(client, raw));
   ws.on('close', () => wsClients.delete(client));
   ws.on('error', () => wsClients.delete(client));
 });
 
+/**
+ * Inbound socket messages. Authenticated player sockets may send
+ *   { "type": "action", "id": "<any>", "action": "move", "angle": 90 }
+ * and get back { type: "ack", id, tick } or { type: "error", id, status, error }.
+ * Same validation as POST /action and the same per-player rate limit.
+ * Any socket may send { "type": "keyframe" } to be sent a full snapshot now.
+ */
+function handleClientMessage(client, raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw);
+  } catch (_) {
+    return sendMessage(client, { type: 'error', id: null, status: 400, error: 'Messages must be JSON' });
+  }
+  const id = msg && msg.id !== undefined ? msg.id : null;
+
+  if (msg && msg.type === 'keyframe') {
+    client.lastFrame = null;
+    return sendToClient(client);
+  }
+  if (!msg || msg.type !== 'action') {
+    return sendMessage(client, { type: 'error', id, status: 400, error: `Unknown message type: ${msg && msg.type}` });
+  }
+  if (client.type !== 'player' || !client.playerId) {
+    return sendMessage(client, { type: 'error', id, status: 403, error: 'Actions need a type=player socket with player_id and token' });
+  }
+  if (!checkRateLimit(client.playerId)) {
+    return sendMessage(client, { type: 'error', id, status: 429, ...RATE_LIMIT_ERROR });
+  }
+
+  const { status, body, engine } = submitPlayerAction(client.playerId, msg);
+  if (status !== 200) return sendMessage(client, { type: 'error', id, status, ...body });
+  sendMessage(client, { type: 'ack', id, tick: engine.tickCount, category: body.category, replacedSeq: body.replacedSeq });
+}
+
+function sendMessage(client, message) {
+  if (client.ws.readyState !== 1) return;
+  try {
+    client.ws.send(JSON.stringify(message));
+  } catch (_) { /* stale connection */ }
+}
+
+/** Close a player's sockets — after a token rotation they were opened with a revoked token. */
+function disconnectPlayer(playerId, code, reason) {
+  for (const client of wsClients) {
+    if (client.type !== 'player' || client.playerId !== playerId) continue;
+    try { client.ws.close(code, reason); } catch (_) { /* already gone */ }
+  }
+}
+
+// ── State frames ──────────────────────────────────────────────────────────────
+// Protocol 1 sockets get every state whole: { type: "state", data }. Protocol 2
+// sockets get { type: "snapshot", seq, data } and then { type: "delta", seq, data }
+// against the previous frame (see game/delta.js). A new snapshot goes out every
+// C.WS_KEYFRAME_INTERVAL frames, when the mode changes, and on request.
+const frames = new WeakMap(); // state → its JSON copy, shared by every socket sent that state
+
+/** events: battle log entries since the last frame, sent to protocol 2 big screens. */
+function sendState(client, state, events = null) {
+  if (client.ws.readyState !== 1) return;
+  // A big screen sees every position, which fog of war hides from the players:
+  // without the admin key it is told so once and sent nothing until the battle ends
+  if (client.type === 'bigscreen' && state.fogOfWar && !client.admin) {
+    if (!client.fogged) {
+      sendMessage(client, { type: 'error', status: 403, error: 'Fog of war is on: watching this battle needs the admin key (?key=)' });
+    }
+    client.fogged = true;
+    return;
+  }
+  client.fogged = false;
+  if (client.protocol === 1) {
+    client.ws.send(JSON.stringify({ type: 'state', data: state }));
+    return;
+  }
+
+  let frame = frames.get(state);
+  if (!frame) frames.set(state, frame = JSON.parse(JSON.stringify(state)));
+  let message;
+  if (!client.lastFrame || client.lastFrame.mode !== frame.mode || client.sinceKeyframe >= C.WS_KEYFRAME_INTERVAL) {
+    message = { type: 'snapshot', seq: ++client.seq, data: frame };
+    client.sinceKeyframe = 0;
+  } else {
+    const delta = diffState(client.lastFrame, frame);
+    if (Object.keys(delta).length === 0 && !(events && events.length)) return;
+    message = { type: 'delta', seq: ++client.seq, data: delta };
+    client.sinceKeyframe++;
+  }
+  if (events && events.length) message.events = events;
+  client.lastFrame = frame;
+  client.ws.send(JSON.stringify(message));
+}
+
 function sendToClient(client) {
   if (client.ws.readyState !== 1) return;
   try {
     if (client.type === 'bigscreen') {
-      const state = (battleActive && battleEngine)
-        ? battleEngine.getFullState()
-        : getLobbyState();
-      client.ws.send(JSON.stringify({ type: 'state', data: state }));
+      const room = rooms.get(client.room);
+      if (!room) return;
+      const state = (room.battleActive && room.battleEngine)
+        ? room.battleEngine.getFullState()
+        : room.getLobbyState();
+      sendState(client, state);
     } else if (client.type === 'player' && client.playerId) {
-      const engine = getEngineForPlayer(client.playerId);
-      if (!engine) return;
-      const state = engine.getPlayerState(client.playerId);
-      if (state) client.ws.send(JSON.stringify({ type: 'state', data: state }));
+      const state = getPlayerState(client.playerId);
+      if (state) sendState(client, state);
     }
   } catch (_) { /* ignore */ }
 }
 
-// Periodic push for sandbox/lobby — battle engine broadcasts itself via onStateUpdate
+// Periodic push for sandbox/lobby — each room's battle engine broadcasts itself via onStateUpdate
 setInterval(() => {
-  if (battleActive) return;
   for (const client of wsClients) {
     if (client.ws.readyState !== 1) continue;
     try {
       if (client.type === 'bigscreen') {
-        client.ws.send(JSON.stringify({ type: 'state', data: getLobbyState() }));
+        const room = rooms.get(client.room);
+        if (!room || room.battleActive) continue;
+        sendState(client, room.getLobbyState());
       } else if (client.type === 'player' && client.playerId) {
-        const sandbox = sandboxManager.get(client.playerId);
-        if (!sandbox) continue;
-        const state = sandbox.getPlayerState(client.playerId);
-        if (state) client.ws.send(JSON.stringify({ type: 'state', data: state }));
+        if (rooms.isInBattle(client.playerId)) continue;
+        const state = getPlayerState(client.playerId);
+        if (state) sendState(client, state);
       }
     } catch (_) { /* ignore */ }
   }
@@ -153,15 +375,23 @@ setInterval(() => {
 
 // ── API Routes ────────────────────────────────────────────────────────────────
 const context = {
-  get battleActive() { return battleActive; },
-  get battleEngine() { return battleEngine; },
   sandboxManager,
   playerRegistry,
-  getEngineForPlayer,
-  doStartBattle,
-  doReset,
+  replayStore,
+  mapStore,
+  ratingStore,
+  rooms,
+  matchmaker,
+  getPlayerState,
+  getEngineForPlayer: (playerId) => rooms.getEngineForPlayer(playerId),
+  isInBattle: (playerId) => rooms.isInBattle(playerId),
+  disconnectPlayer,
+  saveRegistry,
+  adminKey,
 };
 
+const submitPlayerAction = createActionHandler(context);
+
 app.use('/action', rateLimiter);
 app.use('/', createApiRouter(context));
 
@@ -173,6 +403,13 @@ app.get('/monitor', (req, res) => {
   res.sendFile(path.join(__dirname, 'views', 'player.html'));
 });
 
+// Both pages decode protocol 2 with game/delta.js itself, wrapped so it
+// defines window.StateDelta in the browser
+const deltaScript = `(function (module) {\n${fs.readFileSync(path.join(__dirname, 'game', 'delta.js'), 'utf8')}\nwindow.StateDelta = module.exports;\n})({});\n`;
+app.get('/js/delta.js', (req, res) => {
+  res.type('application/javascript').send(deltaScript);
+});
+
 // ── Start ─────────────────────────────────────────────────────────────────────
 server.listen(PORT, () => {
   console.log(`
@@ -191,11 +428,27 @@ server.listen(PORT, () => {
 ║  POST /action    → sandbox or battle (auto-routed)║
 ║  GET  /state     → player or full arena state     ║
 ║  POST /ready     → signal ready for battle        ║
-║  POST /start     → launch shared battle           ║
-║  POST /reset     → back to sandbox mode           ║
-║  GET  /debug     → full debug info                ║
+║  POST /token/rotate → issue a new player token    ║
+║  POST /start     → launch shared battle   [admin] ║
+║  POST /reset     → back to sandbox mode   [admin] ║
+║  GET  /debug     → full debug info        [admin] ║
 ║  GET  /players   → list all players               ║
+║  GET  /replays   → recorded battles               ║
+║  GET  /maps      → arena maps and rotation        ║
+║  GET  /modes     → game modes and their options   ║
+║  GET  /rules     → ruleset presets and fields     ║
+║  POST /tournament → run a 1v1 bracket     [admin] ║
+║  GET  /leaderboard → all-time ratings             ║
+║  GET  /tournament → bracket and results           ║
+║  GET  /rooms     → rooms and their big screens    ║
+║  POST /rooms     → open another room      [admin] ║
+║  POST /queue     → find a match automatically     ║
 ║                                                   ║
 ╚═══════════════════════════════════════════════════╝
   `);
+  console.log(`  Maps: ${mapStore.ids().join(', ')}  (rotation: ${defaultRotation.join(' → ')})\n`);
+  if (restoredPlayers > 0) console.log(`  Restored ${restoredPlayers} player(s) from ${config.registryFile}\n`);
+  if (adminKeyGenerated) {
+    console.log(`  Admin key (generated for this run — set ADMIN_KEY or config.json to pin it):\n  ${adminKey}\n`);
+  }
 });
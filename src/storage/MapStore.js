@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const Arena = require('../game/Arena');
+const MapGenerator = require('../game/MapGenerator');
+const {
+  MAP_MIN_SIZE, MAP_MAX_SIZE, OBSTACLE_WALL, OBSTACLE_CRATE, TEAMS, PICKUP_TYPES, PICKUP_SIZE, MAX_MAP_PICKUPS,
+} = require('../game/constants');
+
+const MAP_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Arena layouts loaded from <dir>/*.json. Every file is validated once at
+ * startup; invalid ones are logged and skipped so one bad map cannot take the
+ * server down. A map file looks like:
+ *
+ *   { "id": "classic", "name": "Classic", "description": "…", "author": "…",
+ *     "width": 40, "height": 30,
+ *     "obstacles":   [{ "x": 18, "y": 13, "w": 4, "h": 1, "type": "wall" }],
+ *     "spawnPoints": [{ "x": 3, "y": 4 }],           // optional
+ *     "objectives":  { "flags": { "red": { "x": 2, "y": 15 }, "blue": { … } },
+ *                      "hill": { "x": 20, "y": 11, "radius": 4 } },   // optional
+ *     "pickups":     [{ "type": "health", "x": 20, "y": 4 }] }      // optional
+ *
+ * `id` defaults to the file name.
+ */
+class MapStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.maps = new Map(); // id → map definition
+    this._load();
+  }
+
+  _load() {
+    const files = fs.existsSync(this.dir)
+      ? fs.readdirSync(this.dir).filter(f => f.endsWith('.json')).sort()
+      : [];
+
+    for (const file of files) {
+      let map;
+      try {
+        map = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+      } catch (err) {
+        console.error(`Map ${file} skipped: ${err.message}`);
+        continue;
+      }
+      if (map && typeof map === 'object' && map.id == null) map.id = path.basename(file, '.json');
+
+      const errors = MapStore.validate(map);
+      if (this.maps.has(map.id)) errors.push(`duplicate id "${map.id}"`);
+      if (errors.length > 0) {
+        console.error(`Map ${file} skipped: ${errors.join('; ')}`);
+        continue;
+      }
+      this.maps.set(map.id, map);
+    }
+
+    // Always have something to play on
+    if (this.maps.size === 0) this.maps.set(Arena.DEFAULT_MAP.id, Arena.DEFAULT_MAP);
+  }
+
+  /**
+   * Check a map definition. Returns a list of problems (empty when valid).
+   */
+  static validate(map) {
+    if (!map || typeof map !== 'object' || Array.isArray(map)) return ['not a JSON object'];
+
+    const errors = [];
+    const isNum = n => typeof n === 'number' && Number.isFinite(n);
+
+    if (typeof map.id !== 'string' || !MAP_ID_PATTERN.test(map.id)) {
+      errors.push('id must be 1–32 characters of a-z, 0-9, _ or -');
+    }
+    if (map.name != null && typeof map.name !== 'string') errors.push('name must be a string');
+
+    for (const key of ['width', 'height']) {
+      if (!Number.isInteger(map[key]) || map[key] < MAP_MIN_SIZE || map[key] > MAP_MAX_SIZE) {
+        errors.push(`${key} must be an integer from ${MAP_MIN_SIZE} to ${MAP_MAX_SIZE}`);
+      }
+    }
+    if (errors.length > 0) return errors;
+
+    if (!Array.isArray(map.obstacles)) {
+      errors.push('obstacles must be an array');
+    } else {
+      map.obstacles.forEach((o, i) => {
+        if (!o || ![o.x, o.y, o.w, o.h].every(isNum) || o.w <= 0 || o.h <= 0) {
+          errors.push(`obstacles[${i}] needs numeric x, y and positive w, h`);
+        } else if (o.x < 0 || o.y < 0 || o.x + o.w > map.width || o.y + o.h > map.height) {
+          errors.push(`obstacles[${i}] lies outside the ${map.width}x${map.height} arena`);
+        } else if (o.type !== OBSTACLE_WALL && o.type !== OBSTACLE_CRATE) {
+          errors.push(`obstacles[${i}].type must be "${OBSTACLE_WALL}" or "${OBSTACLE_CRATE}"`);
+        } else if (o.hp != null && (o.type !== OBSTACLE_CRATE || !Number.isInteger(o.hp) || o.hp < 1)) {
+          errors.push(`obstacles[${i}].hp must be a positive integer, and only crates have hp`);
+        }
+      });
+    }
+
+    if (map.spawnPoints != null) {
+      if (!Array.isArray(map.spawnPoints)) {
+        errors.push('spawnPoints must be an array');
+      } else if (errors.length === 0) {
+        const arena = new Arena(null, map);
+        map.spawnPoints.forEach((p, i) => {
+          if (!p || !isNum(p.x) || !isNum(p.y)) errors.push(`spawnPoints[${i}] needs numeric x, y`);
+          else if (arena.isBlocked(p.x, p.y, 0.5)) errors.push(`spawnPoints[${i}] is outside the arena or inside an obstacle`);
+        });
+      }
+    }
+
+    if (map.objectives != null) {
+      const { flags, hill } = map.objectives;
+      const inside = p => p && isNum(p.x) && isNum(p.y) && p.x >= 0 && p.y >= 0 && p.x <= map.width && p.y <= map.height;
+      if (flags != null) {
+        for (const team of TEAMS) {
+          if (!inside(flags[team])) errors.push(`objectives.flags.${team} needs numeric x, y inside the arena`);
+        }
+      }
+      if (hill != null) {
+        if (!inside(hill)) errors.push('objectives.hill needs numeric x, y inside the arena');
+        else if (hill.radius != null && !(isNum(hill.radius) && hill.radius > 0)) errors.push('objectives.hill.radius must be a positive number');
+      }
+    }
+
+    if (map.pickups != null) {
+      if (!Array.isArray(map.pickups) || map.pickups.length > MAX_MAP_PICKUPS) {
+        errors.push(`pickups must be an array of at most ${MAX_MAP_PICKUPS} pickups`);
+      } else if (errors.length === 0) {
+        const arena = new Arena(null, map);
+        map.pickups.forEach((p, i) => {
+          if (!p || !PICKUP_TYPES.includes(p.type)) errors.push(`pickups[${i}].type must be one of ${PICKUP_TYPES.join(', ')}`);
+          else if (!isNum(p.x) || !isNum(p.y)) errors.push(`pickups[${i}] needs numeric x, y`);
+          else if (arena.isBlocked(p.x, p.y, PICKUP_SIZE)) errors.push(`pickups[${i}] is outside the arena or inside an obstacle`);
+        });
+      }
+    }
+    return errors;
+  }
+
+  static summarize(map) {
+    return {
+      id: map.id,
+      name: map.name || map.id,
+      description: map.description || '',
+      author: map.author || null,
+      width: map.width,
+      height: map.height,
+      obstacles: map.obstacles.length,
+      spawnPoints: (map.spawnPoints || []).length,
+      objectives: Object.keys(map.objectives || {}),
+      pickups: (map.pickups || []).length,
+    };
+  }
+
+  has(id) {
+    return this.maps.has(id);
+  }
+
+  get(id) {
+    return this.maps.get(id) || null;
+  }
+
+  /** A file map id, or "generated" for a procedural one. */
+  isPlayable(id) {
+    return id === MapGenerator.GENERATED_MAP_ID || this.maps.has(id);
+  }
+
+  /**
+   * Map definition to build an arena from. "generated" runs MapGenerator with
+   * generatorOptions; its seed defaults to fallbackSeed (e.g. the battle seed).
+   */
+  resolve(id, generatorOptions = {}, fallbackSeed = undefined) {
+    if (id !== MapGenerator.GENERATED_MAP_ID) return this.get(id);
+    const options = { ...generatorOptions };
+    if (options.seed == null) options.seed = fallbackSeed;
+    return new MapGenerator(options).generate();
+  }
+
+  ids() {
+    return [...this.maps.keys()];
+  }
+
+  /** Every map, the classic layout first — the rotation when none is configured. */
+  defaultRotation() {
+    const first = Arena.DEFAULT_MAP.id;
+    return this.maps.has(first) ? [first, ...this.ids().filter(id => id !== first)] : this.ids();
+  }
+
+  list() {
+    return [...this.maps.values()].map(MapStore.summarize);
+  }
+}
+
+module.exports = MapStore;
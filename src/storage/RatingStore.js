@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const C = require('../game/constants');
+const { ratingChanges } = require('../game/ratings');
+
+/**
+ * Ratings and career totals for every player who has finished a battle,
+ * keyed by player id (ids survive restarts, see RegistryStore). The username
+ * is only kept for display, so a freed name never passes its record on.
+ * Kept in memory and written to one JSON file after each rated battle.
+ */
+class RatingStore {
+  constructor(file) {
+    this.file = file;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.players = this._load();   // playerId → record (see blank())
+    this._writing = Promise.resolve();
+  }
+
+  _load() {
+    if (!fs.existsSync(this.file)) return new Map();
+    try {
+      return new Map(Object.entries(JSON.parse(fs.readFileSync(this.file, 'utf8'))));
+    } catch (err) {
+      console.error(`Ratings file unreadable, starting empty: ${err.message}`);
+      return new Map();
+    }
+  }
+
+  static blank(id, username, isBot = false) {
+    return {
+      id,
+      username,
+      isBot,
+      rating: C.RATING_INITIAL,
+      peakRating: C.RATING_INITIAL,
+      battles: 0,
+      wins: 0,
+      kills: 0,
+      deaths: 0,
+      damageDealt: 0,
+      lastPlayed: null,
+      history: [],                 // most recent first, at most C.RATING_HISTORY
+    };
+  }
+
+  get(playerId) {
+    return this.players.get(playerId) || null;
+  }
+
+  /**
+   * Ratings files from before records were keyed by player id are keyed by
+   * username: give each such record to the registered player of that name.
+   */
+  adoptLegacy(playerRegistry) {
+    let adopted = 0;
+    for (const [id, info] of playerRegistry) {
+      const legacy = this.players.get(info.username);
+      if (!legacy || legacy.id || this.players.has(id)) continue;
+      this.players.delete(info.username);
+      this.players.set(id, { id, ...legacy });
+      adopted++;
+    }
+    if (adopted > 0) this._save();
+    return adopted;
+  }
+
+  /**
+   * Rate a finished battle from its game mode's placements and add everyone's
+   * kills, deaths and damage to their totals. Battles with fewer than two
+   * players are not rated. Returns [{ id, username, place, rating, delta }] or null.
+   */
+  recordBattle(engine, replayId = null) {
+    const groups = engine.gameMode.placements();
+    const placed = [];
+    let place = 1;
+    for (const group of groups) {
+      for (const player of group) placed.push({ player, place });
+      place += group.length;
+    }
+    if (placed.length < 2) return null;
+
+    const records = placed.map(({ player }) =>
+      this.get(player.id) || RatingStore.blank(player.id, player.username, player.isBot));
+    const deltas = ratingChanges(placed.map(({ player, place }, i) => ({
+      rating: records[i].rating, place, team: engine.teams ? player.team : null,
+    })));
+
+    const at = new Date().toISOString();
+    const results = placed.map(({ player, place }, i) => {
+      const record = records[i];
+      const won = engine.teams ? player.team === engine.winningTeam : player === engine.winner;
+      record.username = player.username;
+      record.isBot = player.isBot;
+      record.rating += deltas[i];
+      record.peakRating = Math.max(record.peakRating, record.rating);
+      record.battles++;
+      if (won) record.wins++;
+      record.kills += player.kills;
+      record.deaths += player.deaths;
+      record.damageDealt += player.damageDealt;
+      record.lastPlayed = at;
+      record.history.unshift({
+        at, replayId, gameMode: engine.gameMode.id, place, of: placed.length, won,
+        kills: player.kills, deaths: player.deaths, rating: record.rating, delta: deltas[i],
+      });
+      record.history.length = Math.min(record.history.length, C.RATING_HISTORY);
+      this.players.set(player.id, record);
+      return { id: player.id, username: player.username, place, rating: record.rating, delta: deltas[i] };
+    });
+
+    this._save();
+    return results;
+  }
+
+  /**
+   * Best first (rating, then more battles). Bots are left out unless asked
+   * for. Each entry gets its `rank` in that list.
+   */
+  leaderboard({ limit = C.LEADERBOARD_DEFAULT_LIMIT, bots = false } = {}) {
+    return this._ranked(bots).slice(0, limit).map(RatingStore._summary);
+  }
+
+  /** Full record plus rank, or null for a player who has never finished a battle. */
+  profile(playerId) {
+    const record = this.get(playerId);
+    if (!record) return null;
+    const rank = this._ranked(record.isBot).indexOf(record) + 1;
+    return { ...RatingStore._summary(record, rank - 1), history: record.history };
+  }
+
+  _ranked(bots) {
+    return [...this.players.values()]
+      .filter(r => bots || !r.isBot)
+      .sort((a, b) => (b.rating - a.rating) || (b.battles - a.battles) || a.username.localeCompare(b.username));
+  }
+
+  static _summary(record, index) {
+    const { history, ...totals } = record;
+    return {
+      rank: index + 1,
+      ...totals,
+      winRate: record.battles ? Math.round(record.wins / record.battles * 100) / 100 : 0,
+      lastDelta: history.length ? history[0].delta : 0,
+    };
+  }
+
+  /** Resolves once every queued write has finished. */
+  flush() {
+    return this._writing;
+  }
+
+  // Writes are chained so an older snapshot never lands after a newer one
+  _save() {
+    const snapshot = JSON.stringify(Object.fromEntries(this.players), null, 2);
+    this._writing = this._writing
+      .then(() => fs.promises.writeFile(this.file, snapshot))
+      .catch(err => console.error(`Failed to save ratings: ${err.message}`));
+  }
+}
+
+module.exports = RatingStore;
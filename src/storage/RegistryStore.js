@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The lobby on disk: registered players (token hashes only, as in memory),
+ * roster bots and the settings each sandbox was built with, in one JSON file.
+ * server.js writes it after registrations, removals, token rotations and room
+ * changes, as a periodic snapshot for everything else, and on shutdown. It
+ * rebuilds the registry and sandboxes from it at boot, so a redeploy keeps
+ * everyone's ids and tokens.
+ *
+ *   { savedAt, players: [{ id, ...registry entry }], sandboxes: { id: { seed, map, rules } } }
+ */
+class RegistryStore {
+  constructor(file) {
+    this.file = file;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.lastWritten = null;     // JSON of the last snapshot written, to skip unchanged ones
+  }
+
+  /** The saved snapshot, or null when there is none (or it cannot be read). */
+  load() {
+    if (!fs.existsSync(this.file)) return null;
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.lastWritten = JSON.stringify({ ...snapshot, savedAt: null });
+      return snapshot;
+    } catch (err) {
+      console.error(`Registry snapshot unreadable, starting empty: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Write the snapshot if it differs from the last one. Goes through a temp
+   * file and a rename so a crash mid-write never leaves half a file.
+   * Returns true when something was written.
+   */
+  save(snapshot) {
+    const key = JSON.stringify({ ...snapshot, savedAt: null });
+    if (key === this.lastWritten) return false;
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ ...snapshot, savedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(tmp, this.file);
+    this.lastWritten = key;
+    return true;
+  }
+}
+
+module.exports = RegistryStore;
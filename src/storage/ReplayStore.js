@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const C = require('../game/constants');
+
+const REPLAY_ID_PATTERN = /^r_[0-9a-f]{8}$/;
+
+/**
+ * Stores battle recordings as JSON files in one directory:
+ *   <dir>/<replayId>.json   full recording (frames included)
+ *   <dir>/index.json        summaries for GET /replays, newest first
+ *
+ * The index is loaded once at startup and kept in memory; recordings are only
+ * read from disk when a single replay is requested. Only the newest
+ * C.MAX_REPLAYS are kept: older recordings are deleted as new ones come in.
+ */
+class ReplayStore {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+    this.index = this._loadIndex();
+    this._writing = Promise.resolve();
+    this.verifications = new Map(); // replayId → Promise of its verify() report
+  }
+
+  _loadIndex() {
+    const file = path.join(this.dir, 'index.json');
+    if (!fs.existsSync(file)) return [];
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      console.error(`Replay index unreadable, starting empty: ${err.message}`);
+      return [];
+    }
+  }
+
+  static summarize(recording) {
+    return {
+      id: recording.id,
+      status: recording.status,
+      startedAt: recording.startedAt,
+      endedAt: recording.endedAt,
+      durationTicks: recording.durationTicks,
+      gameMode: recording.gameMode || 'elimination',
+      rules: recording.rules ? recording.rules.preset : 'classic',
+      players: recording.roster.map(p => p.username),
+      winner: recording.winner ? recording.winner.username : null,
+      winningTeam: recording.winningTeam || null,
+    };
+  }
+
+  /**
+   * Write a finished recording to disk. Resolves with its summary. Saves are
+   * chained, so two battles ending together never interleave index writes.
+   */
+  save(recording) {
+    const saving = this._writing.then(() => this._write(recording));
+    this._writing = saving.catch(() => {});
+    return saving;
+  }
+
+  async _write(recording) {
+    await fs.promises.writeFile(
+      path.join(this.dir, `${recording.id}.json`),
+      JSON.stringify(recording),
+    );
+    const summary = ReplayStore.summarize(recording);
+    this.index.unshift(summary);
+    const pruned = this.index.splice(C.MAX_REPLAYS);
+    for (const r of pruned) this.verifications.delete(r.id);
+
+    // Through a temp file and a rename, so a crash mid-write never leaves half an index
+    const file = path.join(this.dir, 'index.json');
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(this.index, null, 2));
+    await fs.promises.rename(`${file}.tmp`, file);
+    await Promise.all(pruned.map(r => fs.promises.unlink(path.join(this.dir, `${r.id}.json`)).catch(() => {})));
+    return summary;
+  }
+
+  list() {
+    return this.index;
+  }
+
+  /**
+   * Load a full recording. Resolves with null for unknown or malformed ids.
+   */
+  async get(id) {
+    if (!this.has(id)) return null;
+    try {
+      const raw = await fs.promises.readFile(path.join(this.dir, `${id}.json`), 'utf8');
+      return JSON.parse(raw);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  has(id) {
+    return REPLAY_ID_PATTERN.test(id) && this.index.some(r => r.id === id);
+  }
+
+  /**
+   * Re-simulate a recording and compare it frame by frame (see simulate.js).
+   * Runs in a worker thread, since a long battle takes seconds to replay.
+   * Resolves with { id, seed, verified, … }, or null for unknown ids. A
+   * recording never changes, so each report is computed once and cached.
+   */
+  verify(id) {
+    if (!this.has(id)) return Promise.resolve(null);
+    if (!this.verifications.has(id)) {
+      const report = runWorker(path.join(__dirname, '..', 'game', 'verifyWorker.js'), { file: path.join(this.dir, `${id}.json`) });
+      this.verifications.set(id, report);
+      report.catch(() => this.verifications.delete(id)); // a failed run can be retried
+    }
+    return this.verifications.get(id);
+  }
+}
+
+/** Resolves with the worker's one message, rejects if it throws or exits without one. */
+function runWorker(file, workerData) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(file, { workerData });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => reject(new Error(`Verification worker exited with code ${code}`)));
+  });
+}
+
+module.exports = ReplayStore;
@@ -1,29 +1,45 @@
 #!/usr/bin/env bash
 set -e
 BASE="http://localhost:3000"
+ADMIN_KEY="${ADMIN_KEY:?start the server with ADMIN_KEY set and export the same value here}"
 
 echo "=== 1. Register ==="
 ALICE_JSON=$(curl -sf -X POST "$BASE/register" -H 'Content-Type: application/json' -d '{"username":"Alice"}')
 ALICE_ID=$(echo "$ALICE_JSON" | python3 -c "import sys,json; print(json.load(sys.stdin)['player_id'])")
+ALICE_TOKEN=$(echo "$ALICE_JSON" | python3 -c "import sys,json; print(json.load(sys.stdin)['token'])")
+ALICE_X0=$(echo "$ALICE_JSON" | python3 -c "import sys,json; print(json.load(sys.stdin)['position']['x'])")
 echo "Alice: $ALICE_ID"
 
 BOB_JSON=$(curl -sf -X POST "$BASE/register" -H 'Content-Type: application/json' -d '{"username":"Bob"}')
 BOB_ID=$(echo "$BOB_JSON" | python3 -c "import sys,json; print(json.load(sys.stdin)['player_id'])")
+BOB_TOKEN=$(echo "$BOB_JSON" | python3 -c "import sys,json; print(json.load(sys.stdin)['token'])")
 echo "Bob:   $BOB_ID"
 
+echo ""
+echo "=== 1b. Token checks ==="
+NOTOKEN=$(curl -s -o /dev/null -w '%{http_code}' -X POST "$BASE/action" -H 'Content-Type: application/json' \
+  -d "{\"player_id\":\"$ALICE_ID\",\"action\":\"reload\"}")
+echo "Action without token → $NOTOKEN (should be 401)"
+WRONG=$(curl -s -o /dev/null -w '%{http_code}' -X POST "$BASE/action" -H 'Content-Type: application/json' \
+  -H "Authorization: Bearer $BOB_TOKEN" -d "{\"player_id\":\"$ALICE_ID\",\"action\":\"reload\"}")
+echo "Alice action with Bob's token → $WRONG (should be 403)"
+
 echo ""
 echo "=== 2. Sandbox isolation ==="
-MOVE=$(curl -sf -X POST "$BASE/action" -H 'Content-Type: application/json' \
-  -d "{\"player_id\":\"$ALICE_ID\",\"action\":\"move\",\"direction\":\"right\"}")
-AX=$(echo "$MOVE" | python3 -c "import sys,json; print(json.load(sys.stdin)['state']['self']['x'])")
-echo "Alice moved right, x=$AX (was 5.7, should be ~6.7)"
+curl -sf -o /dev/null -X POST "$BASE/action" -H 'Content-Type: application/json' -H "Authorization: Bearer $ALICE_TOKEN" \
+  -d "{\"player_id\":\"$ALICE_ID\",\"action\":\"move\",\"direction\":\"right\"}"
+sleep 0.2 # the move is queued for the next tick
+AX=$(curl -sf "$BASE/state?player_id=$ALICE_ID" -H "Authorization: Bearer $ALICE_TOKEN" | python3 -c "import sys,json; print(json.load(sys.stdin)['self']['x'])")
+# Spawns come from the sandbox seed, so the expectation is relative to where Alice started
+AX_EXPECTED=$(python3 -c "print(round($ALICE_X0 + 0.5, 1))")
+echo "Alice moved right, x=$AX (was $ALICE_X0, should be ~$AX_EXPECTED)"
 
-ALICE_STATE=$(curl -sf "$BASE/state?player_id=$ALICE_ID")
+ALICE_STATE=$(curl -sf "$BASE/state?player_id=$ALICE_ID" -H "Authorization: Bearer $ALICE_TOKEN")
 ALICE_NEAR=$(echo "$ALICE_STATE" | python3 -c "import sys,json; d=json.load(sys.stdin); print(d['nearbyPlayers'])")
 ALICE_MODE=$(echo "$ALICE_STATE" | python3 -c "import sys,json; print(json.load(sys.stdin)['mode'])")
 echo "Alice mode=$ALICE_MODE  nearbyPlayers=$ALICE_NEAR  (should be [] — Bob invisible)"
 
-BOB_STATE=$(curl -sf "$BASE/state?player_id=$BOB_ID")
+BOB_STATE=$(curl -sf "$BASE/state?player_id=$BOB_ID" -H "Authorization: Bearer $BOB_TOKEN")
 BOB_NEAR=$(echo "$BOB_STATE" | python3 -c "import sys,json; d=json.load(sys.stdin); print(d['nearbyPlayers'])")
 echo "Bob   nearbyPlayers=$BOB_NEAR  (should be [] — Alice invisible)"
 
@@ -39,22 +55,42 @@ for p in d['players']:
 
 echo ""
 echo "=== 4. Start battle ==="
-START=$(curl -sf -X POST "$BASE/start" -H 'Content-Type: application/json')
+NOADMIN=$(curl -s -o /dev/null -w '%{http_code}' -X POST "$BASE/start" -H 'Content-Type: application/json')
+echo "Start without admin key → $NOADMIN (should be 401)"
+START=$(curl -sf -X POST "$BASE/start" -H 'Content-Type: application/json' -H "X-Admin-Key: $ADMIN_KEY")
 echo "$START"
+START_MAP=$(echo "$START" | python3 -c "import sys,json; print(json.load(sys.stdin)['map'])")
+echo "Battle map=$START_MAP  (should be classic — first in the default rotation)"
 
 echo ""
 echo "=== 5. Battle routing ==="
-BATTLE_A=$(curl -sf "$BASE/state?player_id=$ALICE_ID")
+BATTLE_A=$(curl -sf "$BASE/state?player_id=$ALICE_ID" -H "Authorization: Bearer $ALICE_TOKEN")
 BMODE=$(echo "$BATTLE_A" | python3 -c "import sys,json; print(json.load(sys.stdin)['mode'])")
 BNEAR=$(echo "$BATTLE_A" | python3 -c "import sys,json; d=json.load(sys.stdin); print([p['username'] for p in d['nearbyPlayers']])")
-echo "Alice mode=$BMODE  nearbyPlayers=$BNEAR  (should be battle + ['Bob'])"
+# Battle spawns are seeded too: Bob is only in view within 12 units (fog of war is off here)
+BDIST=$(curl -sf "$BASE/state" | python3 -c "
+import sys,json,math
+p={q['username']:q for q in json.load(sys.stdin)['players']}
+print(round(math.hypot(p['Alice']['x']-p['Bob']['x'], p['Alice']['y']-p['Bob']['y']), 1))")
+BEXPECTED=$(python3 -c "print(['Bob'] if $BDIST < 12 else [])")
+echo "Alice mode=$BMODE  nearbyPlayers=$BNEAR  (should be battle + $BEXPECTED — Bob is $BDIST away)"
 
 echo ""
 echo "=== 6. Reset ==="
-RESET=$(curl -sf -X POST "$BASE/reset" -H 'Content-Type: application/json')
+RESET=$(curl -sf -X POST "$BASE/reset" -H 'Content-Type: application/json' -H "X-Admin-Key: $ADMIN_KEY")
 echo "$RESET"
-AFTER=$(curl -sf "$BASE/state?player_id=$ALICE_ID" | python3 -c "import sys,json; print(json.load(sys.stdin)['mode'])")
+AFTER=$(curl -sf "$BASE/state?player_id=$ALICE_ID" -H "Authorization: Bearer $ALICE_TOKEN" | python3 -c "import sys,json; print(json.load(sys.stdin)['mode'])")
 echo "Post-reset Alice mode=$AFTER  (should be test)"
 
+echo ""
+echo "=== 7. Fog of war ==="
+curl -sf -X POST "$BASE/start" -H 'Content-Type: application/json' -H "X-Admin-Key: $ADMIN_KEY" -d '{"fogOfWar":true}' > /dev/null
+FOG_STATE=$(curl -s -o /dev/null -w '%{http_code}' "$BASE/state")
+FOG_DEBUG=$(curl -s -o /dev/null -w '%{http_code}' "$BASE/debug?player_id=$ALICE_ID" -H "Authorization: Bearer $ALICE_TOKEN")
+FOG_BADKEY=$(curl -s -o /dev/null -w '%{http_code}' "$BASE/debug?player_id=$ALICE_ID" -H "Authorization: Bearer $ALICE_TOKEN" -H "X-Admin-Key: not-the-key")
+FOG_ADMIN=$(curl -s -o /dev/null -w '%{http_code}' "$BASE/debug?player_id=$ALICE_ID" -H "Authorization: Bearer $ALICE_TOKEN" -H "X-Admin-Key: $ADMIN_KEY")
+echo "Fog battle: state=$FOG_STATE debug=$FOG_DEBUG debug+wrong key=$FOG_BADKEY debug+admin=$FOG_ADMIN  (should be 401 401 403 200)"
+curl -sf -X POST "$BASE/reset" -H 'Content-Type: application/json' -H "X-Admin-Key: $ADMIN_KEY" > /dev/null
+
 echo ""
 echo "=== ALL DONE ==="